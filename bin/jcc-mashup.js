@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+// Command-line client: the studio schedule and free windows from a terminal.
+// Uses the same Daxko client (lib/daxko.js) and availability engine as the
+// server, talking to Daxko directly; no running server is needed.
+//
+//   jcc-mashup login [--username <email>]
+//   jcc-mashup classes [--date <day>] [--week] [--studio <name>] [--json]
+//   jcc-mashup free [--date <day>] [--week] [--studio <name>] [--minutes <n>] [--json]
+//   jcc-mashup logout
+//
+// The Daxko session is cached in ~/.jcc-mashup/session.json (JCC_MASHUP_HOME
+// to move it), encrypted under SESSION_ENCRYPTION_KEY when that is set. With
+// JCC_USERNAME and JCC_PASSWORD set, a missing or expired session is replaced
+// without prompting.
+//
+// Exit codes: 0 ok, 1 unexpected error, 2 bad usage, 3 not logged in or login
+// rejected, 4 Daxko unavailable.
+
+// Keep log lines out of the tables; only errors, and only on stderr
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { parseArgs } = require('util');
+const { loadConfig } = require('../lib/config');
+const { createDaxkoClient, isUpstreamAuthError } = require('../lib/daxko');
+const { isUpstreamUnavailable } = require('../lib/upstream');
+const { SessionStore } = require('../lib/sessions');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { todayDateString, isValidDate, addDays, dayOfWeek, listDates } = require('../lib/dates');
+const { parseBranchHours, resolveDayHours, openingWindow, serializeHours } = require('../lib/hours');
+const { normalizeClasses } = require('../lib/schedule');
+const { parseSearchQuery, findFreeWindows } = require('../lib/search');
+
+const USAGE = `Usage: jcc-mashup <command> [options]
+
+Commands:
+  login              Log in to Daxko and cache the session
+  classes            List classes
+  free               List free windows in the tracked studios
+  logout             Forget the cached session
+
+Options:
+  --date <day>       today (default), tomorrow, a weekday (mon ... sun) or YYYY-MM-DD
+  --week             Seven days starting at --date
+  --studio <name>    Studio name or the start of one, e.g. mind-body (comma-separated for several)
+  --minutes <n>      free: shortest window to list (default 30)
+  --username <email> login: Daxko username (default: JCC_USERNAME, then the last one used)
+  --json             Print JSON instead of a table
+  -h, --help         Show this help`;
+
+const EXIT_CODES = { usage: 2, auth: 3, upstream: 4 };
+const SESSION_KEY = 'cli';
+const FETCH_CONCURRENCY = 3;
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Helper: Error with a CLI exit category ('usage' or 'auth')
+function cliError(kind, message) {
+  return Object.assign(new Error(message), { kind });
+}
+
+// Helper: Exit code for an error (see the header comment)
+function exitCodeFor(error) {
+  if (error.kind) return EXIT_CODES[error.kind];
+  if (isUpstreamAuthError(error)) return EXIT_CODES.auth;
+  if (isUpstreamUnavailable(error)) return EXIT_CODES.upstream;
+  return 1;
+}
+
+// Helper: Line reader for prompts on stderr. ask(question, { hidden }) resolves
+// to the answer; hidden answers (passwords) are not echoed.
+function createPrompter() {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stderr.write(chunk);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: Boolean(process.stdin.isTTY) });
+
+  // Lines are buffered, so piped answers are not lost between questions
+  const lines = rl[Symbol.asyncIterator]();
+
+  async function ask(question, { hidden = false } = {}) {
+    output.write(question);
+    muted = hidden;
+
+    const { value, done } = await lines.next();
+    muted = false;
+    if (hidden) process.stderr.write('\n');
+    if (done) {
+      throw cliError('usage', 'No input for prompt');
+    }
+    return value;
+  }
+
+  return { ask, close: () => rl.close() };
+}
+
+// Helper: --date value -> YYYY-MM-DD in the gym's timezone
+function parseDateOption(value, timeZone) {
+  const today = todayDateString(timeZone);
+  const text = String(value || 'today').trim().toLowerCase();
+
+  if (text === 'today') return today;
+  if (text === 'tomorrow') return addDays(today, 1);
+
+  const weekday = DAY_KEYS.indexOf(text.slice(0, 3));
+  if (weekday !== -1 && /^[a-z]+$/.test(text)) {
+    return addDays(today, (weekday - dayOfWeek(today) + 7) % 7);
+  }
+  if (isValidDate(text)) return text;
+
+  throw cliError('usage', `Invalid --date: ${value} (expected today, tomorrow, mon ... sun or YYYY-MM-DD)`);
+}
+
+// Helper: "Mind-Body Studio" -> "mind-body-studio"
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Helper: Studios named by --studio (exact name, slug or slug prefix), or all
+// of `studios` when it is not set
+function matchStudios(option, studios) {
+  if (!option) return studios;
+
+  const matched = option.split(',').map(query => {
+    const wanted = slugify(query);
+    const studio = studios.find(name => slugify(name) === wanted) ||
+      studios.find(name => wanted && slugify(name).startsWith(wanted));
+    if (!studio) {
+      throw cliError('usage', `Unknown studio: ${query.trim()} (expected one of: ${studios.join(', ')})`);
+    }
+    return studio;
+  });
+
+  return [...new Set(matched)];
+}
+
+// Helper: Gym-local "6:30 AM"
+function formatTime(timestamp, timeZone) {
+  return new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' }).format(new Date(timestamp));
+}
+
+// Helper: YYYY-MM-DD -> "Tue Oct 20"
+function formatDate(date) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })
+    .format(new Date(`${date}T12:00:00Z`))
+    .replace(',', '');
+}
+
+// Helper: Rows of strings -> aligned columns under upper-case headers
+function formatTable(columns, rows) {
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...rows.map(row => String(row[index]).length))
+  );
+  const line = cells => cells.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd();
+
+  return [line(columns.map(column => column.toUpperCase())), ...rows.map(line)].join('\n');
+}
+
+// Session cache and Daxko client for one run
+function createContext() {
+  const config = loadConfig();
+  const home = process.env.JCC_MASHUP_HOME || path.join(os.homedir(), '.jcc-mashup');
+  fs.mkdirSync(home, { recursive: true, mode: 0o700 });
+
+  const store = new SessionStore({ file: path.join(home, 'session.json'), secret: process.env.SESSION_ENCRYPTION_KEY });
+  store.loadFromDisk();
+
+  return { config, store, daxko: createDaxkoClient(config.daxko) };
+}
+
+// Helper: Log in and cache the session; resolves to its cookies
+async function logIn({ store, daxko }, username, password) {
+  const cookies = await daxko.login(username, password);
+  if (!cookies) {
+    throw cliError('auth', 'Login failed - invalid credentials');
+  }
+
+  store.set(SESSION_KEY, cookies);
+  store.get(SESSION_KEY).username = username;
+  store.saveToDisk();
+  return cookies;
+}
+
+// Helper: Run fn(cookies) with the cached session. With JCC_USERNAME and
+// JCC_PASSWORD set, a missing or expired session is replaced once.
+async function withSession(context, fn) {
+  const { JCC_USERNAME: username, JCC_PASSWORD: password } = process.env;
+  const session = context.store.get(SESSION_KEY);
+  const canLogIn = Boolean(username && password);
+
+  if (!session && !canLogIn) {
+    throw cliError('auth', 'Not logged in. Run `jcc-mashup login` first.');
+  }
+
+  const cookies = session ? session.cookies : await logIn(context, username, password);
+
+  try {
+    return await fn(cookies);
+  } catch (error) {
+    if (!isUpstreamAuthError(error)) throw error;
+
+    context.store.delete(SESSION_KEY);
+    context.store.saveToDisk();
+    if (!session || !canLogIn) {
+      throw cliError('auth', 'Daxko session expired. Run `jcc-mashup login` again.');
+    }
+    return fn(await logIn(context, username, password));
+  }
+}
+
+// Helper: Mappings plus each date's classes and opening hours
+async function loadDays({ config, daxko }, cookies, dates) {
+  const mappings = await daxko.fetchScheduleMappings(cookies);
+  if (!mappings) {
+    throw new Error('Failed to fetch schedule mappings');
+  }
+
+  const branchHours = parseBranchHours(mappings.branches, config.daxko.locationId);
+  const days = await mapWithConcurrency(dates, FETCH_CONCURRENCY, async date => {
+    const data = await daxko.fetchGxpClasses(cookies, date, mappings);
+    return {
+      date,
+      hours: resolveDayHours(date, { hoursConfig: config.hours, branchHours }),
+      classes: data.gxp_classes || []
+    };
+  });
+
+  return { mappings, days };
+}
+
+// Helper: --date / --week -> the dates to fetch
+function selectedDates(options, timeZone) {
+  const from = parseDateOption(options.date, timeZone);
+  return options.week ? listDates(from, addDays(from, 6)) : [from];
+}
+
+async function loginCommand(context, options) {
+  const cached = context.store.get(SESSION_KEY);
+  const lastUsername = cached && cached.username;
+  const prompter = createPrompter();
+
+  try {
+    const username = options.username || process.env.JCC_USERNAME ||
+      await prompter.ask(`Daxko username${lastUsername ? ` [${lastUsername}]` : ''}: `) ||
+      lastUsername;
+    if (!username) {
+      throw cliError('usage', 'A username is required');
+    }
+
+    const password = process.env.JCC_PASSWORD || await prompter.ask('Password: ', { hidden: true });
+    await logIn(context, username.trim(), password);
+  } finally {
+    prompter.close();
+  }
+
+  console.error('Logged in.');
+}
+
+function logoutCommand(context) {
+  context.store.delete(SESSION_KEY);
+  context.store.saveToDisk();
+  console.error('Logged out.');
+}
+
+async function classesCommand(context, options) {
+  const { config } = context;
+  const timeZone = config.timezone;
+  const dates = selectedDates(options, timeZone);
+
+  const { mappings, days } = await withSession(context, cookies => loadDays(context, cookies, dates));
+  const studios = options.studio
+    ? matchStudios(options.studio, [...new Set(mappings.areas.map(area => area.area_name))])
+    : null;
+
+  const result = days.map(({ date, hours, classes }) => ({
+    date,
+    hours: serializeHours(hours),
+    classes: normalizeClasses(classes, mappings, timeZone)
+      .filter(classObj => !studios || studios.includes(classObj.studio.name))
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify({ days: result }, null, 2));
+    return;
+  }
+
+  const rows = result.flatMap(({ date, classes }) => classes.map(classObj => [
+    formatDate(date),
+    `${formatTime(classObj.start, timeZone)} - ${formatTime(classObj.end, timeZone)}`,
+    classObj.cancelled ? `${classObj.name} (cancelled)` : classObj.name,
+    classObj.studio.name || '-',
+    classObj.instructor.name || '-',
+    classObj.capacity !== null
+      ? `${classObj.booked ?? '?'}/${classObj.capacity}${classObj.isFull ? ' full' : ''}`
+      : '-'
+  ]));
+
+  console.log(rows.length > 0
+    ? formatTable(['date', 'time', 'class', 'studio', 'instructor', 'booked'], rows)
+    : 'No classes.');
+}
+
+async function freeCommand(context, options) {
+  const { config } = context;
+  const timeZone = config.timezone;
+  const dates = selectedDates(options, timeZone);
+  const studios = matchStudios(options.studio, config.studios);
+
+  const { search, error } = parseSearchQuery(
+    { minutes: options.minutes, studio: studios.join(','), limit: '100' },
+    { studios: config.studios }
+  );
+  if (error) {
+    throw cliError('usage', error.replace(/^minutes/, '--minutes'));
+  }
+
+  const { days } = await withSession(context, cookies => loadDays(context, cookies, dates));
+  const results = findFreeWindows(
+    days.map(({ date, hours, classes }) => ({ date, classes, window: openingWindow(date, hours, timeZone) })),
+    search,
+    { timeZone }
+  );
+
+  // JSON keeps the ranking of GET /api/search/free-windows; the table reads in time order
+  if (options.json) {
+    console.log(JSON.stringify({ search, results }, null, 2));
+    return;
+  }
+
+  const chronological = [...results].sort((a, b) => a.start.localeCompare(b.start) || a.studio.localeCompare(b.studio));
+  const rows = chronological.map(result => [
+    formatDate(result.date),
+    result.studio,
+    `${formatTime(result.start, timeZone)} - ${formatTime(result.end, timeZone)}`,
+    `${result.minutes} min`,
+    result.previousClass ? result.previousClass.name : 'opening',
+    result.nextClass ? result.nextClass.name : 'closing'
+  ]);
+
+  console.log(rows.length > 0
+    ? formatTable(['date', 'studio', 'free', 'length', 'after', 'before'], rows)
+    : `No free windows of ${search.minutes} minutes or more.`);
+}
+
+const COMMANDS = {
+  login: loginCommand,
+  logout: logoutCommand,
+  classes: classesCommand,
+  free: freeCommand
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        date: { type: 'string' },
+        week: { type: 'boolean' },
+        studio: { type: 'string' },
+        minutes: { type: 'string' },
+        username: { type: 'string' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (error) {
+    throw cliError('usage', `${error.message}\n\n${USAGE}`);
+  }
+
+  const { values: options, positionals } = parsed;
+  const command = COMMANDS[positionals[0]];
+
+  if (options.help || positionals[0] === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length === 0) {
+    console.error(USAGE);
+    process.exitCode = EXIT_CODES.usage;
+    return;
+  }
+  if (!command || positionals.length > 1) {
+    throw cliError('usage', `Unknown command: ${positionals.join(' ')}\n\n${USAGE}`);
+  }
+
+  await command(createContext(), options);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  if (isUpstreamUnavailable(error) && !error.kind) {
+    console.error(`jcc-mashup: Daxko is unavailable (${error.message})`);
+  } else {
+    console.error(`jcc-mashup: ${error.message}`);
+  }
+  process.exitCode = exitCodeFor(error);
+});
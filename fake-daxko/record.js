@@ -0,0 +1,117 @@
+// Recording proxy: forwards every request to a real Daxko and writes the
+// responses the fake serves back as fixtures, with secrets scrubbed:
+//
+//   ClassSchedule.mvc page  -> fixtures/schedule-props.json (the props blob only)
+//   get_gxp_classes         -> fixtures/classes/<date>.json
+//
+// Point the app at the proxy (DAXKO_BASE_URL=http://localhost:4010), log in
+// with a real account and browse the days you want to capture. Credentials
+// and cookies pass through but are never written; accounts.json is not
+// touched.
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const { redact, logger } = require('../lib/logger');
+
+// Request headers worth forwarding; everything else (host, connection...) is dropped
+const FORWARDED_HEADERS = ['cookie', 'content-type', 'accept', 'user-agent', 'referer', 'requestverificationtoken'];
+
+// Helper: Drop secrets and account-specific IDs from a recorded value
+function scrub(value) {
+  const scrubbed = redact(value);
+  if (scrubbed && typeof scrubbed === 'object' && 'gxp_account_id' in scrubbed) {
+    scrubbed.gxp_account_id = 1000;
+  }
+  return scrubbed;
+}
+
+// Helper: Write a fixture file, creating its directory
+function writeFixture(fixturesDir, name, value) {
+  const file = path.join(fixturesDir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(value, null, 2) + '\n');
+  logger.info('fake_daxko.recorded', { fixture: name });
+}
+
+// Save whatever in this exchange is worth a fixture
+function recordExchange(fixturesDir, req, response) {
+  if (response.status !== 200) return;
+  const body = Buffer.from(response.data).toString('utf8');
+
+  if (req.method === 'GET' && /\/GXP\/ClassSchedule\.mvc$/i.test(req.path)) {
+    const propsMatch = body.match(/var props = ({[\s\S]*?});[\s\S]*?props\.controller_url/);
+    if (propsMatch) {
+      writeFixture(fixturesDir, 'schedule-props.json', scrub(JSON.parse(propsMatch[1])));
+    }
+  }
+
+  if (req.method === 'POST' && /\/get_gxp_classes$/i.test(req.path)) {
+    const { filters = {} } = JSON.parse(req.body.toString('utf8') || '{}');
+    const date = filters.date;
+    const filtered = ['gxp_instructor_ids', 'gxp_studio_ids', 'gxp_class_name_ids', 'gxp_category_ids']
+      .some(filter => (filters[filter] || []).length > 0);
+
+    // A filtered list would make a poor fixture for the whole day
+    if (date && !filtered) {
+      writeFixture(fixturesDir, `classes/${date}.json`, { gxp_classes: scrub(JSON.parse(body)).gxp_classes });
+    }
+  }
+}
+
+function createRecorder({ target, fixturesDir }) {
+  if (!/^https?:\/\//.test(target || '')) {
+    throw new Error('--record needs the Daxko base URL, e.g. --record https://operations.daxko.com');
+  }
+  const targetUrl = target.replace(/\/+$/, '');
+
+  const app = express();
+  app.use(express.raw({ type: '*/*', limit: '5mb' }));
+
+  app.use(async (req, res) => {
+    const headers = {};
+    FORWARDED_HEADERS.forEach(name => {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+
+    try {
+      const response = await axios.request({
+        method: req.method,
+        url: targetUrl + req.originalUrl,
+        headers,
+        data: Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : undefined,
+        maxRedirects: 0,
+        responseType: 'arraybuffer',
+        validateStatus: () => true,
+        timeout: 30 * 1000
+      });
+
+      try {
+        recordExchange(fixturesDir, req, response);
+      } catch (error) {
+        logger.warn('fake_daxko.record_failed', { path: req.path, error });
+      }
+
+      // Keep redirects pointing at the proxy
+      if (response.headers.location) {
+        res.set('Location', response.headers.location.replace(targetUrl, ''));
+      }
+      if (response.headers['set-cookie']) {
+        res.set('Set-Cookie', response.headers['set-cookie'].map(cookie => cookie.replace(/;\s*domain=[^;]*/i, '')));
+      }
+      if (response.headers['content-type']) {
+        res.set('Content-Type', response.headers['content-type']);
+      }
+
+      res.status(response.status).send(Buffer.from(response.data));
+    } catch (error) {
+      logger.error('fake_daxko.proxy_failed', { path: req.path, error });
+      res.status(502).send('Recording proxy could not reach Daxko');
+    }
+  });
+
+  return app;
+}
+
+module.exports = { createRecorder, scrub };
@@ -0,0 +1,252 @@
+// Fake Daxko for offline development, demos and CI. Emulates just enough of
+// operations.daxko.com for the app's login -> schedule -> reserve flow:
+//
+//   GET  /online/:org/Security/login.mvc/find_account   302 + token cookie, then 200
+//   GET  /online/:org/Security/login.mvc/log_in         login form with CSRF token
+//   POST /online/:org/Security/login.mvc/log_in         .online_auth cookie for a fixture account
+//   GET  /online/:org/GXP/ClassSchedule.mvc             schedule page with `var props = {...}`
+//   POST /online/:org/GXP/ClassSchedule.mvc/get_gxp_classes
+//   POST /online/:org/GXP/ClassSchedule.mvc/{reserve_class,cancel_reservation,join_waitlist,leave_waitlist}
+//
+// Everything is backed by files in fixtures/ (see README). Run it with
+//
+//   node fake-daxko/server.js                      # serve fixtures on FAKE_DAXKO_PORT (4010)
+//   node fake-daxko/server.js --record <baseUrl>   # proxy to a real Daxko and record fixtures
+//
+// and start the app with DAXKO_BASE_URL=http://localhost:4010.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { localTimestamp, isValidDate } = require('../lib/dates');
+const { logger } = require('../lib/logger');
+const { loadConfig } = require('../lib/config');
+const { createRecorder } = require('./record');
+
+const PORT = Number(process.env.FAKE_DAXKO_PORT) || 4010;
+const FIXTURES_DIR = process.env.FAKE_DAXKO_FIXTURES || path.join(__dirname, 'fixtures');
+
+// How long a login stays valid (unset: until restart), to try out session expiry
+const AUTH_TTL_MS = Number(process.env.FAKE_DAXKO_AUTH_TTL_MS) || null;
+
+// Fixture times are wall-clock times at the gym, so use the app's timezone
+const GYM_TIMEZONE = loadConfig().timezone;
+
+// Helper: Read a JSON fixture
+function readFixture(fixturesDir, name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+}
+
+// Helper: 'HH:MM' on a YYYY-MM-DD date -> '/Date(ms)/' as Daxko sends it
+function toMSDate(date, time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return `/Date(${localTimestamp(date, hour, minute, GYM_TIMEZONE)})/`;
+}
+
+// Classes for a date: a recorded fixtures/classes/<date>.json as-is, otherwise
+// the default day's classes moved onto that date. Class IDs in the default day
+// are made unique per date so reservations on different days don't collide.
+function loadClasses(fixturesDir, date) {
+  const recorded = path.join(fixturesDir, 'classes', `${date}.json`);
+  if (fs.existsSync(recorded)) {
+    return JSON.parse(fs.readFileSync(recorded, 'utf8')).gxp_classes;
+  }
+
+  const dateNumber = Number(date.replace(/-/g, ''));
+  return readFixture(fixturesDir, 'classes/default.json').gxp_classes.map(({ start_time, end_time, ...classObj }) => ({
+    ...classObj,
+    gxp_class_id: dateNumber * 100 + classObj.gxp_class_id,
+    start_date_time: toMSDate(date, start_time),
+    end_date_time: toMSDate(date, end_time)
+  }));
+}
+
+// Helper: Narrow classes by get_gxp_classes filters (empty list = no filter)
+function applyFilters(classes, filters = {}) {
+  const checks = [
+    ['gxp_instructor_ids', 'gxp_instructor_id'],
+    ['gxp_studio_ids', 'gxp_studio_id'],
+    ['gxp_class_name_ids', 'gxp_class_name_id'],
+    ['gxp_category_ids', 'gxp_category_id']
+  ];
+
+  return classes.filter(classObj => checks.every(([filter, field]) =>
+    !Array.isArray(filters[filter]) || filters[filter].length === 0 || filters[filter].includes(classObj[field])
+  ));
+}
+
+// Helper: Minimal HTML page
+function page(title, body) {
+  return `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+function createFakeDaxko({ fixturesDir = FIXTURES_DIR, authTtlMs = AUTH_TTL_MS } = {}) {
+  const app = express();
+  const router = express.Router();
+
+  // In-memory state, reset on restart
+  const formTokens = new Set();
+  const authTokens = new Map(); // .online_auth value -> issued at
+  const bookings = new Map(); // gxp_class_id -> { reserved, waitlisted, delta }
+
+  app.use(cookieParser());
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Helper: Current booked count / full flag for a class, after our reservations
+  function withBookings(classObj) {
+    const booking = bookings.get(classObj.gxp_class_id) || { delta: 0 };
+    const booked = classObj.booked + booking.delta;
+    return { ...classObj, booked, is_class_full: booked >= classObj.capacity };
+  }
+
+  // Helper: Issue a CSRF form token
+  function issueFormToken() {
+    const token = crypto.randomBytes(16).toString('hex');
+    formTokens.add(token);
+    return token;
+  }
+
+  function isAuthenticated(req) {
+    const issuedAt = authTokens.get(req.cookies['.online_auth']);
+    return issuedAt !== undefined && (!authTtlMs || Date.now() - issuedAt < authTtlMs);
+  }
+
+  router.get('/Security/login.mvc/find_account', (req, res) => {
+    // First visit: set the anti-forgery cookie and redirect back, like Daxko does
+    if (!req.cookies.__RequestVerificationToken) {
+      res.cookie('__RequestVerificationToken', crypto.randomBytes(16).toString('hex'), { httpOnly: true });
+      return res.redirect(302, req.originalUrl);
+    }
+
+    res.send(page('Find account', '<form method="get" action="log_in"><input name="user_name"></form>'));
+  });
+
+  router.get('/Security/login.mvc/log_in', (req, res) => {
+    res.send(page('Log in', `
+      <form method="post">
+        <input name="__RequestVerificationToken" type="hidden" value="${issueFormToken()}" />
+        <input name="user_name" value="" />
+        <input name="password" type="password" />
+      </form>`));
+  });
+
+  router.post('/Security/login.mvc/log_in', (req, res) => {
+    const { __RequestVerificationToken: formToken, user_name: userName, password } = req.body;
+    const accounts = readFixture(fixturesDir, 'accounts.json');
+    const account = accounts.find(entry => entry.user_name === userName && entry.password === password);
+
+    if (!formTokens.delete(formToken) || !account) {
+      logger.info('fake_daxko.login_rejected');
+      return res.send(page('Log in', '<div class="validation-summary-errors">Invalid user name or password</div>'));
+    }
+
+    const authToken = crypto.randomBytes(24).toString('hex');
+    authTokens.set(authToken, Date.now());
+    logger.info('fake_daxko.login_accepted', { keepMeLoggedIn: req.body.keep_me_logged_in === 'true' });
+
+    res.cookie('.online_auth', authToken, { httpOnly: true });
+    res.redirect(302, req.body.return_url || '/');
+  });
+
+  router.get('/Redirect/Homepage.mvc', (req, res) => {
+    res.send(page('Home', 'Welcome'));
+  });
+
+  router.get('/GXP/ClassSchedule.mvc', (req, res) => {
+    if (!isAuthenticated(req)) {
+      return res.redirect(302, `${req.baseUrl}/Security/login.mvc/find_account`);
+    }
+
+    const props = readFixture(fixturesDir, 'schedule-props.json');
+    res.send(page('Class Schedule', `
+      <input name="__RequestVerificationToken" type="hidden" value="${issueFormToken()}" />
+      <script>
+        var props = ${JSON.stringify(props)};
+        ReactDOM.render(props.controller_url);
+      </script>`));
+  });
+
+  router.post('/GXP/ClassSchedule.mvc/get_gxp_classes', (req, res) => {
+    if (!isAuthenticated(req)) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    const filters = (req.body && req.body.filters) || {};
+    if (!isValidDate(filters.date)) {
+      return res.status(400).json({ error: 'filters.date is required' });
+    }
+
+    const classes = applyFilters(loadClasses(fixturesDir, filters.date), filters).map(withBookings);
+    res.json({ gxp_classes: classes, total: classes.length });
+  });
+
+  // Reserve / cancel / waitlist: need the auth cookie and a CSRF token from the schedule page
+  router.post('/GXP/ClassSchedule.mvc/:action(reserve_class|cancel_reservation|join_waitlist|leave_waitlist)', (req, res) => {
+    if (!isAuthenticated(req)) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+    if (!formTokens.has(req.get('RequestVerificationToken'))) {
+      return res.status(400).json({ success: false, message: 'Invalid anti-forgery token' });
+    }
+
+    const classId = Number(req.body.gxp_class_id);
+    const booking = bookings.get(classId) || { reserved: false, waitlisted: false, delta: 0 };
+
+    // The class's capacity is only known from its day, which the ID encodes for default classes
+    const date = String(classId).slice(0, 8).replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3');
+    const classObj = isValidDate(date)
+      ? loadClasses(fixturesDir, date).find(entry => entry.gxp_class_id === classId)
+      : null;
+    const isFull = classObj ? withBookings(classObj).is_class_full : false;
+
+    const outcomes = {
+      reserve_class: () => {
+        if (booking.reserved) return 'Already reserved';
+        if (isFull) return 'Class is full';
+        booking.reserved = true;
+        booking.delta++;
+      },
+      cancel_reservation: () => {
+        if (!booking.reserved) return 'No reservation to cancel';
+        booking.reserved = false;
+        booking.delta--;
+      },
+      join_waitlist: () => {
+        if (!isFull) return 'Class is not full';
+        booking.waitlisted = true;
+      },
+      leave_waitlist: () => {
+        if (!booking.waitlisted) return 'Not on the waitlist';
+        booking.waitlisted = false;
+      }
+    };
+
+    const failure = outcomes[req.params.action]();
+    bookings.set(classId, booking);
+
+    res.json(failure ? { success: false, message: failure } : { success: true });
+  });
+
+  app.use('/online/:orgId', router);
+  return app;
+}
+
+module.exports = { createFakeDaxko, loadClasses, applyFilters };
+
+if (require.main === module) {
+  const recordIndex = process.argv.indexOf('--record');
+  const app = recordIndex === -1
+    ? createFakeDaxko()
+    : createRecorder({ target: process.argv[recordIndex + 1], fixturesDir: FIXTURES_DIR });
+
+  app.listen(PORT, () => {
+    logger.info('fake_daxko.started', {
+      url: `http://localhost:${PORT}`,
+      mode: recordIndex === -1 ? 'fixtures' : 'record',
+      fixturesDir: FIXTURES_DIR
+    });
+  });
+}
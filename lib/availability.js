@@ -0,0 +1,108 @@
+// Availability engine: turns a Daxko class list into exact busy intervals and
+// free windows per studio, using both the start and the end of every class.
+
+// Helper: Parse Microsoft JSON date format: /Date(1769173200000)/ -> epoch ms
+function parseMSDate(msDateString) {
+  if (typeof msDateString !== 'string') return null;
+
+  const match = msDateString.match(/\/Date\((-?\d+)\)\//);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Helper: Sort intervals by start and merge any that overlap or touch
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push(interval);
+    }
+  });
+
+  return merged;
+}
+
+// Helper: Busy intervals for a set of classes, clipped to the window
+function buildBusyIntervals(classes, windowStart, windowEnd) {
+  const busy = [];
+
+  classes.forEach(classObj => {
+    const start = parseMSDate(classObj.start_date_time);
+    const end = parseMSDate(classObj.end_date_time);
+
+    // Skip malformed entries and classes entirely outside the window
+    if (start === null || end === null || end <= start) return;
+    if (end <= windowStart || start >= windowEnd) return;
+
+    busy.push({
+      start: Math.max(start, windowStart),
+      end: Math.min(end, windowEnd),
+      class: classObj
+    });
+  });
+
+  return busy.sort((a, b) => a.start - b.start);
+}
+
+// Helper: Free windows are the gaps between merged busy intervals
+function buildFreeWindows(busy, windowStart, windowEnd) {
+  const free = [];
+  let cursor = windowStart;
+
+  mergeIntervals(busy).forEach(interval => {
+    if (interval.start > cursor) {
+      free.push({ start: cursor, end: interval.start });
+    }
+    cursor = Math.max(cursor, interval.end);
+  });
+
+  if (cursor < windowEnd) {
+    free.push({ start: cursor, end: windowEnd });
+  }
+
+  return free;
+}
+
+// Compute busy intervals and free windows for each studio between
+// windowStart and windowEnd (epoch ms). Classes in other studios are ignored.
+function computeAvailability(classes, { studios, windowStart, windowEnd }) {
+  return studios.map(studio => {
+    const studioClasses = classes.filter(classObj => classObj.area_name === studio);
+    const busy = buildBusyIntervals(studioClasses, windowStart, windowEnd);
+    const free = buildFreeWindows(busy, windowStart, windowEnd);
+
+    return { studio, busy, free };
+  });
+}
+
+// Helper: Convert an interval to its JSON shape with ISO timestamps
+function serializeInterval(interval) {
+  return {
+    ...interval,
+    start: new Date(interval.start).toISOString(),
+    end: new Date(interval.end).toISOString(),
+    minutes: Math.round((interval.end - interval.start) / 60000)
+  };
+}
+
+// Serialize computeAvailability() output for API responses
+function serializeAvailability(availability) {
+  return availability.map(({ studio, busy, free }) => ({
+    studio,
+    busy: busy.map(serializeInterval),
+    free: free.map(serializeInterval)
+  }));
+}
+
+module.exports = {
+  parseMSDate,
+  mergeIntervals,
+  computeAvailability,
+  serializeAvailability
+};
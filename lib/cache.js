@@ -0,0 +1,129 @@
+// Small in-memory TTL cache. Entries remember when they were stored so API
+// responses can report their age, and concurrent loads of the same key share
+// a single upstream call. Expired entries are kept (but never returned by
+// get()) so getOrLoad() can fall back to the last good value when a load fails.
+//
+// Bounded two ways, so keys built from request input can't grow it forever:
+// entries older than ttlMs + maxStaleMs are dropped, and past maxEntries the
+// least recently stored entries go first.
+class TtlCache {
+  constructor(ttlMs, { maxEntries = Infinity, maxStaleMs = Infinity } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxStaleMs = maxStaleMs;
+    this.entries = new Map(); // key -> entry, in the order they were stored
+    this.pending = new Map();
+  }
+
+  // Helper: True once an entry is too old even as a stale fallback
+  isTooOld(entry, now) {
+    return now - entry.storedAt > this.ttlMs + this.maxStaleMs;
+  }
+
+  // Returns { value, storedAt } or null when missing or expired
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expired || Date.now() - entry.storedAt > this.ttlMs) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  // Returns the last stored { value, storedAt } for key, up to maxStaleMs past expiry
+  getStale(key) {
+    const entry = this.entries.get(key);
+    return entry && !this.isTooOld(entry, Date.now()) ? entry : null;
+  }
+
+  set(key, value) {
+    const entry = { value, storedAt: Date.now() };
+
+    // Re-insert so the Map stays in storage order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.purge();
+    return entry;
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Drop entries too old to serve even as stale, then the oldest ones past
+  // maxEntries. Returns how many were removed.
+  purge(now = Date.now()) {
+    const before = this.entries.size;
+
+    for (const [key, entry] of this.entries) {
+      if (this.isTooOld(entry, now)) this.entries.delete(key);
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+
+    return before - this.entries.size;
+  }
+
+  // Make every entry a miss without losing it as a stale fallback
+  expireAll() {
+    this.entries.forEach(entry => {
+      entry.expired = true;
+    });
+  }
+
+  // Return the cached value for key, or run loader() and cache its result.
+  // Pass { fresh: true } to skip the cached value. null/undefined results are
+  // not cached. Resolves to { value, storedAt, hit }.
+  //
+  // When loader() throws and staleIf(error) is true, the last stored value is
+  // returned instead, as { value, storedAt, hit: true, stale: true }.
+  async getOrLoad(key, loader, { fresh = false, staleIf = null } = {}) {
+    if (!fresh) {
+      const entry = this.get(key);
+      if (entry) return { ...entry, hit: true };
+    }
+
+    if (!this.pending.has(key)) {
+      const load = (async () => {
+        try {
+          const value = await loader();
+          if (value === null || value === undefined) {
+            return { value, storedAt: Date.now(), hit: false };
+          }
+          return { ...this.set(key, value), hit: false };
+        } finally {
+          this.pending.delete(key);
+        }
+      })();
+
+      this.pending.set(key, load);
+    }
+
+    try {
+      return await this.pending.get(key);
+    } catch (error) {
+      const stale = staleIf && staleIf(error) ? this.getStale(key) : null;
+      if (!stale) throw error;
+
+      return { value: stale.value, storedAt: stale.storedAt, hit: true, stale: true };
+    }
+  }
+}
+
+// Helper: Summarize a getOrLoad() result for API responses
+function describeCacheEntry(entry) {
+  const description = {
+    hit: entry.hit,
+    age: Math.floor((Date.now() - entry.storedAt) / 1000) // seconds
+  };
+  if (entry.stale) description.stale = true;
+  return description;
+}
+
+module.exports = { TtlCache, describeCacheEntry };
@@ -0,0 +1,108 @@
+// App configuration: built-in defaults (Dell JCC), overridden by an optional
+// JSON config file, overridden in turn by environment variables.
+//
+//   CONFIG_FILE         Path to the JSON config file (default: ./config.json)
+//   DAXKO_BASE_URL      e.g. https://operations.daxko.com
+//   DAXKO_ORG_ID        Daxko organization ID used in every URL
+//   DAXKO_LOCATION_ID   gxp_location_id sent with schedule requests
+//   DAXKO_EXERCISER_ID  any_exerciser_id_of_unit sent with schedule requests
+//   STUDIOS             Comma-separated list of tracked studio (area) names
+//   GYM_TIMEZONE        IANA timezone of the gym, e.g. America/Chicago
+//   GYM_SLOT_MINUTES    Grid slot size: 15, 30 or 60
+//   CORS_ORIGINS        Comma-separated origins (https://host[:port]) allowed to
+//                       call the API from another site; same-origin always works
+//
+// Opening hours (`hours`: weekly hours and holidays, see lib/hours.js) can
+// only be set in the config file.
+
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone } = require('./dates');
+const { normalizeHoursConfig, SLOT_SIZES } = require('./hours');
+
+const DEFAULTS = {
+  daxko: {
+    baseUrl: 'https://operations.daxko.com',
+    orgId: '5198',
+    locationId: 6469,
+    exerciserId: 6093357
+  },
+  studios: ['Mind-Body Studio', 'Group Exercise Studio'],
+  timezone: 'America/Chicago',
+  slotMinutes: 60,
+  corsOrigins: []
+};
+
+// Helper: Read the JSON config file, if there is one
+function readConfigFile(configFile) {
+  if (!fs.existsSync(configFile)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configFile}: ${error.message}`);
+  }
+}
+
+// Helper: Parse a comma-separated env var into a trimmed, non-empty list
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Helper: True for a bare origin like https://gym.example.com (no path or trailing slash)
+function isOrigin(value) {
+  try {
+    return new URL(value).origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+function loadConfig(env = process.env) {
+  const configFile = env.CONFIG_FILE || path.join(__dirname, '..', 'config.json');
+  const fileConfig = readConfigFile(configFile);
+
+  const daxko = { ...DEFAULTS.daxko, ...fileConfig.daxko };
+  if (env.DAXKO_BASE_URL) daxko.baseUrl = env.DAXKO_BASE_URL;
+  if (env.DAXKO_ORG_ID) daxko.orgId = env.DAXKO_ORG_ID;
+  if (env.DAXKO_LOCATION_ID) daxko.locationId = Number(env.DAXKO_LOCATION_ID);
+  if (env.DAXKO_EXERCISER_ID) daxko.exerciserId = Number(env.DAXKO_EXERCISER_ID);
+
+  // Trailing slashes would produce '//online/...' URLs
+  daxko.baseUrl = daxko.baseUrl.replace(/\/+$/, '');
+  daxko.orgId = String(daxko.orgId);
+
+  const studios = env.STUDIOS
+    ? parseList(env.STUDIOS)
+    : (fileConfig.studios || DEFAULTS.studios);
+
+  if (studios.length === 0) {
+    throw new Error('At least one studio must be configured');
+  }
+
+  const timezone = env.GYM_TIMEZONE || fileConfig.timezone || DEFAULTS.timezone;
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+
+  const hours = normalizeHoursConfig(fileConfig.hours);
+
+  const slotMinutes = Number(env.GYM_SLOT_MINUTES || fileConfig.slotMinutes || DEFAULTS.slotMinutes);
+  if (!SLOT_SIZES.includes(slotMinutes)) {
+    throw new Error(`slotMinutes must be one of ${SLOT_SIZES.join(', ')}`);
+  }
+
+  const corsOrigins = env.CORS_ORIGINS !== undefined
+    ? parseList(env.CORS_ORIGINS)
+    : (fileConfig.corsOrigins || DEFAULTS.corsOrigins);
+
+  corsOrigins.forEach(origin => {
+    if (!isOrigin(origin)) {
+      throw new Error(`Invalid CORS origin: ${origin} (expected scheme://host[:port], e.g. https://gym.example.com)`);
+    }
+  });
+
+  return { daxko, studios, timezone, hours, slotMinutes, corsOrigins };
+}
+
+module.exports = { loadConfig, DEFAULTS };
@@ -0,0 +1,135 @@
+// Date helpers for YYYY-MM-DD strings and wall-clock times at the gym.
+//
+// "Local" here always means the gym's IANA timezone (config.timezone, e.g.
+// America/Chicago), never the server's clock: a server running in UTC must
+// still resolve "today" and 6 AM the way the gym does.
+
+const HOUR = 60 * 60 * 1000;
+const formatters = new Map();
+
+// Helper: Cached Intl formatter that splits a timestamp into numeric parts
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Wall-clock parts of a timestamp in a timezone: { year, month, day, hour, minute, second }
+function zonedParts(timestamp, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// Offset of a timezone from UTC at a given moment, in minutes (e.g. -300 for CDT)
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = zonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+// Helper: True when Intl knows the timezone name
+function isValidTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Today's date at the gym as YYYY-MM-DD
+function todayDateString(timeZone, now = Date.now()) {
+  const { year, month, day } = zonedParts(now, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Helper: Check a YYYY-MM-DD query parameter. Date rolls impossible days
+// (2030-02-30) into the next month, so the date must survive a round trip.
+function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+}
+
+// Add days to a YYYY-MM-DD date
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+// List every YYYY-MM-DD date from `from` to `to`, inclusive
+function listDates(from, to) {
+  const dates = [];
+  const cursor = new Date(`${from}T00:00:00Z`);
+  const last = new Date(`${to}T00:00:00Z`);
+
+  while (cursor <= last) {
+    dates.push(cursor.toISOString().split('T')[0]);
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+// Day of week (0 = Sunday) for a YYYY-MM-DD date
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Epoch ms for a wall-clock time at the gym on a YYYY-MM-DD date. A time
+// skipped by a spring-forward jump lands just after the jump; a time repeated
+// in the fall resolves to its first occurrence.
+function localTimestamp(date, hour, minute, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // A day has at most one transition, so the offsets half a day either side
+  // are the only two candidates
+  const offsetBefore = timeZoneOffset(wallClock - 12 * HOUR, timeZone);
+  const offsetAfter = timeZoneOffset(wallClock + 12 * HOUR, timeZone);
+
+  const matches = [offsetBefore, offsetAfter]
+    .map(offset => wallClock - offset * 60000)
+    .filter(candidate => candidate + timeZoneOffset(candidate, timeZone) * 60000 === wallClock);
+
+  return matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore * 60000;
+}
+
+// ISO-8601 string with the gym's UTC offset, e.g. 2030-01-07T06:30:00-06:00
+function toOffsetIsoString(timestamp, timeZone) {
+  const parts = zonedParts(timestamp, timeZone);
+  const offsetMinutes = timeZoneOffset(timestamp, timeZone);
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const pad = value => String(Math.abs(value)).padStart(2, '0');
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.trunc(offsetMinutes / 60))}:${pad(offsetMinutes % 60)}`;
+}
+
+module.exports = {
+  todayDateString,
+  isValidDate,
+  isValidTimeZone,
+  addDays,
+  listDates,
+  dayOfWeek,
+  localTimestamp,
+  toOffsetIsoString,
+  zonedParts
+};
@@ -0,0 +1,390 @@
+// Daxko client: the login flow, schedule page scrape, get_gxp_classes and the
+// class actions, shared by server.js and the command-line client
+// (bin/jcc-mashup.js). It only talks to Daxko; callers own sessions and caching.
+//
+// Every call goes through an upstream client (lib/upstream.js): timeouts,
+// retries for idempotent calls and a circuit breaker.
+
+const { createUpstreamClient, isUpstreamUnavailable } = require('./upstream');
+const { logger } = require('./logger');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:147.0) Gecko/20100101 Firefox/147.0';
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+const JSON_ACCEPT = 'application/json, text/plain, */*';
+
+// Helper: True when Daxko rejected the session's cookies, either with a 401
+// or by redirecting an authenticated call to the login page
+function isUpstreamAuthError(error) {
+  if (!error) return false;
+  if (error.code === 'ELOGINREQUIRED') return true;
+  return Boolean(error.response && error.response.status === 401);
+}
+
+// Helper: Extract cookies from response headers
+function extractCookies(headers) {
+  const setCookieHeaders = headers['set-cookie'] || [];
+  const cookies = {};
+
+  setCookieHeaders.forEach(cookieStr => {
+    const match = cookieStr.match(/^([^=]+)=([^;]+)/);
+    if (match) {
+      cookies[match[1]] = match[2];
+    }
+  });
+
+  return cookies;
+}
+
+// Helper: Build cookie string from object
+function buildCookieString(cookies) {
+  return Object.entries(cookies).map(([key, value]) => `${key}=${value}`).join('; ');
+}
+
+// Helper: Pull the anti-forgery (__RequestVerificationToken) value out of a Daxko page
+function extractCsrfToken(html) {
+  if (typeof html !== 'string') return '';
+
+  const csrfMatch = html.match(/name="__RequestVerificationToken"[^>]+value="([^"]+)"/);
+  return csrfMatch ? csrfMatch[1] : '';
+}
+
+// Helper: Throw ELOGINREQUIRED when Daxko answered an authenticated call by
+// redirecting to its login pages, which is how it treats expired cookies
+function assertLoggedIn(response) {
+  const finalUrl = response.request && response.request.res && response.request.res.responseUrl;
+  if (finalUrl && /\/Security\/login\.mvc\//i.test(finalUrl)) {
+    throw Object.assign(new Error('Daxko session expired'), { code: 'ELOGINREQUIRED' });
+  }
+}
+
+// daxkoConfig is config.daxko (lib/config.js). Timeout and retries default to
+// DAXKO_TIMEOUT_MS / DAXKO_RETRIES.
+function createDaxkoClient(daxkoConfig, {
+  timeoutMs = Number(process.env.DAXKO_TIMEOUT_MS) || 10 * 1000,
+  retries = process.env.DAXKO_RETRIES !== undefined ? Number(process.env.DAXKO_RETRIES) : 2
+} = {}) {
+  const baseUrl = daxkoConfig.baseUrl;
+  const orgPath = `/online/${daxkoConfig.orgId}`;
+  const homepagePath = `${orgPath}/Redirect/Homepage.mvc`;
+  const scheduleUrl = `${baseUrl}/Online/${daxkoConfig.orgId}/GXP/ClassSchedule.mvc`;
+
+  const upstream = createUpstreamClient({ name: 'daxko', timeoutMs, retries });
+
+  // Log in with a Daxko username and password. Resolves to the session's
+  // cookie jar, or null when Daxko rejected the credentials. keepMeLoggedIn
+  // ticks Daxko's "keep me logged in" box, for a longer-lived auth cookie.
+  async function login(username, password, { keepMeLoggedIn = false } = {}) {
+    // Step 1: Build initial cookies (these are required by Daxko)
+    const now = Math.floor(Date.now() / 1000);
+    const initialCookies = {
+      '__utma': `1.${Math.floor(Math.random() * 1000000000)}.${now}.${now}.${now}.1`,
+      '__utmb': `1.3.10.${now}`,
+      '__utmc': '1',
+      '__utmz': `1.${now}.1.1.utmcsr=(direct)|utmccn=(direct)|utmcmd=(none)`,
+      '__utmt': '1',
+      '__oauth_admin': ''
+    };
+
+    // Step 2: GET find_account page to get __RequestVerificationToken cookie
+    // We need to follow redirects manually and collect cookies at each step
+    const findAccountUrl = `${baseUrl}${orgPath}/Security/login.mvc/find_account?return_url=${encodeURIComponent(homepagePath)}`;
+
+    // Make multiple requests, following redirects manually and collecting cookies
+    let currentUrl = findAccountUrl;
+
+    for (let i = 0; i < 3; i++) {
+      try {
+        const response = await upstream.get(currentUrl, {
+          headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': HTML_ACCEPT,
+            'Cookie': buildCookieString(initialCookies)
+          },
+          maxRedirects: 0,
+          validateStatus: (status) => status >= 200 && status < 400
+        }, { endpoint: 'login' });
+
+        // If we get here, we got a 200 response
+        const responseCookies = extractCookies(response.headers);
+        Object.assign(initialCookies, responseCookies);
+        logger.debug('login.find_account', { attempt: i + 1, status: response.status, cookieNames: Object.keys(responseCookies) });
+        break;
+      } catch (error) {
+        if (error.response && error.response.status === 302) {
+          // Extract cookies from this redirect
+          const redirectCookies = extractCookies(error.response.headers);
+          Object.assign(initialCookies, redirectCookies);
+
+          // Get redirect location
+          const location = error.response.headers.location;
+          logger.debug('login.find_account', {
+            attempt: i + 1,
+            status: 302,
+            cookieNames: Object.keys(redirectCookies),
+            redirectTo: location.split('?')[0]
+          });
+
+          // If relative URL, make it absolute
+          if (location.startsWith('/')) {
+            currentUrl = baseUrl + location;
+          } else if (location.startsWith('http')) {
+            currentUrl = location;
+          } else {
+            currentUrl = findAccountUrl; // Same URL, try again with new cookies
+          }
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    // Step 3: Go to login page with username to get CSRF token for login form
+    const loginUrl = `${baseUrl}${orgPath}/Security/login.mvc/log_in`;
+    const loginPageUrl = `${loginUrl}?user_name=${encodeURIComponent(username)}&return_url=${encodeURIComponent(homepagePath)}&oauth=`;
+
+    const loginPageResponse = await upstream.get(loginPageUrl, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': HTML_ACCEPT,
+        'Cookie': buildCookieString(initialCookies)
+      },
+      maxRedirects: 5
+    }, { endpoint: 'login' });
+
+    // Extract cookies from login page
+    const loginPageCookies = extractCookies(loginPageResponse.headers);
+    Object.assign(initialCookies, loginPageCookies);
+
+    // Extract CSRF token from login page
+    const csrfToken = extractCsrfToken(loginPageResponse.data);
+    logger.debug('login.login_page', {
+      status: loginPageResponse.status,
+      cookieNames: Object.keys(loginPageCookies),
+      csrfTokenFound: Boolean(csrfToken)
+    });
+
+    // Step 4: Submit login form
+    const loginData = new URLSearchParams({
+      '__RequestVerificationToken': csrfToken,
+      'user_name': username,
+      'password': password,
+      'keep_me_logged_in': keepMeLoggedIn ? 'true' : 'false',
+      'return_url': homepagePath,
+      'barcode': '',
+      'oauth': ''
+    });
+
+    let loginResponse;
+    try {
+      loginResponse = await upstream.post(
+        loginUrl,
+        loginData.toString(),
+        {
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'User-Agent': USER_AGENT,
+            'Accept': HTML_ACCEPT,
+            'Cookie': buildCookieString(initialCookies),
+            'Referer': loginPageUrl
+          },
+          maxRedirects: 0,
+          validateStatus: (status) => status >= 200 && status < 400
+        },
+        { endpoint: 'login' }
+      );
+    } catch (error) {
+      // If it's a redirect error, that's actually OK - we just need the cookies
+      if (error.response && error.response.status === 302) {
+        loginResponse = error.response;
+      } else {
+        throw error;
+      }
+    }
+
+    // Extract auth cookie from login response
+    const authCookies = extractCookies(loginResponse.headers);
+    logger.debug('login.submitted', { status: loginResponse.status, cookieNames: Object.keys(authCookies) });
+
+    // Combine all cookies; without the auth cookie the credentials were rejected
+    const allCookies = { ...initialCookies, ...authCookies };
+    return allCookies['.online_auth'] ? allCookies : null;
+  }
+
+  // Fetch and parse the class schedule page for mappings (instructors, areas,
+  // branches, ...). Resolves to null when the page has no props to read.
+  async function fetchScheduleMappings(cookies) {
+    try {
+      const response = await upstream.get(scheduleUrl, {
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': HTML_ACCEPT,
+          'Cookie': buildCookieString(cookies)
+        }
+      }, { endpoint: 'mappings' });
+
+      assertLoggedIn(response);
+
+      const html = response.data;
+
+      // Extract the props object from the script tag
+      const propsMatch = html.match(/var props = ({[\s\S]*?});[\s\S]*?props\.controller_url/);
+
+      if (!propsMatch) {
+        logger.error('mappings.props_missing');
+        return null;
+      }
+
+      const propsJson = propsMatch[1];
+      const props = JSON.parse(propsJson);
+
+      logger.debug('mappings.fetched', {
+        instructors: props.instructors.length,
+        areas: props.areas.length,
+        branches: props.branches.length
+      });
+
+      return {
+        instructors: props.instructors,
+        areas: props.areas,
+        branches: props.branches,
+        categories: props.categories || [],
+        class_names: props.class_names || [],
+        gxp_account_id: props.gxp_account_id
+      };
+    } catch (error) {
+      // Let outages reach the caller's cache, which can fall back to stale
+      // mappings, and expired sessions reach the caller's auth handling
+      if (isUpstreamUnavailable(error) || isUpstreamAuthError(error)) throw error;
+
+      logger.error('mappings.failed', { error });
+      return null;
+    }
+  }
+
+  // Fetch the class list for a date (YYYY-MM-DD). Pass already-fetched
+  // mappings to skip scraping the schedule page again, and get_gxp_classes
+  // filter arrays (gxp_studio_ids, ...) to narrow the list.
+  async function fetchGxpClasses(cookies, date, mappings, filters) {
+    // Fetch the mappings from the schedule page
+    mappings = mappings || await fetchScheduleMappings(cookies);
+
+    if (!mappings) {
+      throw new Error('Failed to fetch schedule mappings');
+    }
+
+    // Build the mapped arrays
+    const allMappedAreas = mappings.areas.map(area => ({
+      gxp_studio_id: area.gxp_studio_id,
+      area_id: area.area_id,
+      area_name: area.area_name
+    }));
+
+    const allMappedInstructor = mappings.instructors.map(instructor => ({
+      gxp_instructor_id: instructor.gxp_instructor_id,
+      admin_id: instructor.admin_id,
+      first_name: instructor.first_name,
+      last_name: instructor.last_name,
+      admin_name: instructor.admin_name
+    }));
+
+    const requestBody = {
+      "all_mapped_areas": allMappedAreas,
+      "all_mapped_instructor": allMappedInstructor,
+      "all_mapped_branches": mappings.branches,
+      "filters": {
+        "date": date,
+        "gxp_location_id": daxkoConfig.locationId,
+        "gxp_instructor_ids": [],
+        "gxp_studio_ids": [],
+        "gxp_class_name_ids": [],
+        "gxp_category_ids": [],
+        ...filters
+      },
+      "gxp_account_id": mappings.gxp_account_id,
+      "any_exerciser_id_of_unit": daxkoConfig.exerciserId,
+      "page": 1
+    };
+
+    // A read despite being a POST, so it is safe to retry
+    const response = await upstream.post(
+      `${baseUrl}${orgPath}/GXP/ClassSchedule.mvc/get_gxp_classes`,
+      requestBody,
+      {
+        headers: {
+          'Content-Type': 'application/json;charset=utf-8',
+          'User-Agent': USER_AGENT,
+          'Cookie': buildCookieString(cookies),
+          'Accept': JSON_ACCEPT
+        }
+      },
+      { idempotent: true, endpoint: 'classes' }
+    );
+    assertLoggedIn(response);
+
+    return response.data;
+  }
+
+  // POST a GXP action (reserve_class, cancel_reservation, ...) with a fresh
+  // CSRF token. Cookies Daxko sets along the way are merged into `cookies`.
+  async function postGxpAction(cookies, action, body) {
+    // Same pattern as login: load the page for its anti-forgery token first
+    const pageResponse = await upstream.get(scheduleUrl, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': HTML_ACCEPT,
+        'Cookie': buildCookieString(cookies)
+      }
+    }, { endpoint: 'actions' });
+    assertLoggedIn(pageResponse);
+    Object.assign(cookies, extractCookies(pageResponse.headers));
+
+    const csrfToken = extractCsrfToken(pageResponse.data);
+    if (!csrfToken) {
+      throw new Error('Could not find CSRF token on schedule page');
+    }
+
+    const response = await upstream.post(
+      `${baseUrl}${orgPath}/GXP/ClassSchedule.mvc/${action}`,
+      { ...body, __RequestVerificationToken: csrfToken },
+      {
+        headers: {
+          'Content-Type': 'application/json;charset=utf-8',
+          'User-Agent': USER_AGENT,
+          'Cookie': buildCookieString(cookies),
+          'Accept': JSON_ACCEPT,
+          'RequestVerificationToken': csrfToken,
+          'Referer': scheduleUrl
+        }
+      },
+      { endpoint: 'actions' }
+    );
+    Object.assign(cookies, extractCookies(response.headers));
+
+    return response.data;
+  }
+
+  // Check that Daxko answers at all, for readiness probes: one anonymous GET
+  // of the login page with a short timeout and no retries. Any response below
+  // 500 counts; rejects when Daxko is unreachable or the breaker is open.
+  async function ping({ timeoutMs: pingTimeoutMs = 5 * 1000 } = {}) {
+    await upstream.get(`${baseUrl}${orgPath}/Security/login.mvc/find_account`, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': HTML_ACCEPT
+      },
+      timeout: pingTimeoutMs,
+      maxRedirects: 0,
+      validateStatus: (status) => status < 500
+    }, { idempotent: false, endpoint: 'ping' });
+  }
+
+  return { upstream, login, fetchScheduleMappings, fetchGxpClasses, postGxpAction, ping };
+}
+
+module.exports = {
+  createDaxkoClient,
+  isUpstreamAuthError,
+  extractCookies,
+  buildCookieString,
+  extractCsrfToken
+};
@@ -0,0 +1,177 @@
+// Occupancy history: an append-only JSON Lines file of class occupancy over
+// time, one line per class whenever its booked/capacity numbers change:
+//
+//   {"at":"2026-10-19T15:00:00.000Z","classId":"2026102001","date":"2026-10-20",
+//    "name":"Vinyasa Yoga","studio":"Mind-Body Studio","instructor":"Dana Levy",
+//    "start":"...","end":"...","booked":12,"capacity":20,"full":false}
+//
+// OccupancyRecorder fills it in the background; lib/stats.js aggregates it.
+// Reading the file needs no Daxko access, so stats keep working offline.
+
+const fs = require('fs');
+const readline = require('readline');
+const { parseMSDate } = require('./availability');
+const { todayDateString, addDays, listDates } = require('./dates');
+const { logger } = require('./logger');
+
+// Helper: One history line for a Daxko class, or null if it has no usable times
+function toRecord(classObj, date, at) {
+  const start = parseMSDate(classObj.start_date_time);
+  const end = parseMSDate(classObj.end_date_time);
+  if (start === null || end === null) return null;
+
+  const booked = Number(classObj.booked);
+  const capacity = Number(classObj.capacity);
+
+  return {
+    at: new Date(at).toISOString(),
+    classId: String(classObj.gxp_class_id),
+    date,
+    name: classObj.name,
+    studio: classObj.area_name,
+    instructor: classObj.instructor_name || null,
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    booked: Number.isFinite(booked) ? booked : null,
+    capacity: Number.isFinite(capacity) ? capacity : null,
+    full: Boolean(classObj.is_class_full)
+  };
+}
+
+class OccupancyHistory {
+  constructor({ file }) {
+    this.file = file;
+    // classId -> last recorded line, to skip unchanged classes. Only classes
+    // from today on are kept; past ones can't change any more.
+    this.latest = new Map();
+  }
+
+  // Stream the file line by line, oldest first, resolving to the records for
+  // classes on `from` or later (all of them without `from`). Malformed lines
+  // (e.g. a write cut short) are skipped.
+  async readRecords({ from = null } = {}) {
+    if (!fs.existsSync(this.file)) return [];
+
+    const records = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (from && !(record.date >= from)) continue;
+      records.push(record);
+    }
+
+    return records;
+  }
+
+  // Rebuild the change-detection index from the file on startup
+  async load(today) {
+    try {
+      const records = await this.readRecords({ from: today });
+      records.forEach(record => this.latest.set(record.classId, record));
+      logger.info('history.loaded', { records: records.length, classes: this.latest.size });
+    } catch (error) {
+      logger.error('history.load_failed', { error });
+    }
+  }
+
+  // Forget classes on dates before `today`. Returns how many were dropped.
+  prune(today) {
+    let removed = 0;
+    this.latest.forEach((record, classId) => {
+      if (record.date < today) {
+        this.latest.delete(classId);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  // Append a record for every class on `date` that is new or whose numbers changed.
+  // Returns how many lines were written.
+  record(date, classes, at = Date.now()) {
+    const lines = [];
+
+    classes.forEach(classObj => {
+      const record = toRecord(classObj, date, at);
+      if (!record) return;
+
+      const previous = this.latest.get(record.classId);
+      const changed = !previous ||
+        previous.booked !== record.booked ||
+        previous.capacity !== record.capacity ||
+        previous.full !== record.full ||
+        previous.start !== record.start;
+      if (!changed) return;
+
+      this.latest.set(record.classId, record);
+      lines.push(JSON.stringify(record));
+    });
+
+    if (lines.length > 0) {
+      fs.appendFileSync(this.file, lines.join('\n') + '\n');
+    }
+    return lines.length;
+  }
+}
+
+class OccupancyRecorder {
+  // fetchClasses(date) -> class list for that date, or null when no session can fetch it
+  // daysAhead: how many days from today each poll records
+  constructor({ history, fetchClasses, intervalMs, daysAhead, timeZone }) {
+    this.history = history;
+    this.fetchClasses = fetchClasses;
+    this.intervalMs = intervalMs;
+    this.daysAhead = daysAhead;
+    this.timeZone = timeZone;
+    this.polling = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    const today = todayDateString(this.timeZone);
+    let written = 0;
+
+    const pruned = this.history.prune(today);
+    if (pruned > 0) logger.debug('history.pruned', { classes: pruned });
+
+    try {
+      for (const date of listDates(today, addDays(today, this.daysAhead - 1))) {
+        const classes = await this.fetchClasses(date);
+        if (!classes) {
+          logger.debug('history.no_session');
+          return;
+        }
+        written += this.history.record(date, classes);
+      }
+      logger.debug('history.recorded', { records: written });
+    } catch (error) {
+      logger.error('history.poll_failed', { error });
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = { OccupancyHistory, OccupancyRecorder };
@@ -0,0 +1,182 @@
+// Opening hours per date. The first source with an answer wins:
+//
+//   1. config holidays   { "2026-12-25": null, "2026-12-24": ["08:00", "14:00"] }
+//   2. branch hours      scraped from the schedule page (props.branches)
+//   3. config weekly     { "sun": ["08:00", "18:00"], ... } (default 6 AM - 7 PM daily)
+//
+// Hours are gym-local "HH:MM" pairs; null means closed all day. Internally a
+// day's hours are { open, close } in minutes after midnight.
+
+const { dayOfWeek, localTimestamp } = require('./dates');
+
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_HOURS = ['06:00', '19:00'];
+const SLOT_SIZES = [15, 30, 60];
+
+// Helper: "06:00", "6:00:00" or "6:00 AM" -> minutes after midnight (null if unparseable).
+// "24:00" is allowed as a closing time.
+function parseClockTime(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2]);
+  const meridiem = match[3] && match[3].toUpperCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'PM' && hour !== 12) hour += 12;
+    if (meridiem === 'AM' && hour === 12) hour = 0;
+  }
+
+  const minutes = hour * 60 + minute;
+  return minute < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+// Helper: Minutes after midnight -> "HH:MM"
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Helper: ["06:00", "19:00"] or { open, close } -> { open, close } in minutes,
+// null for closed, undefined when the value is not a usable range
+function parseHoursRange(value) {
+  if (value === null) return null;
+
+  const [open, close] = Array.isArray(value) ? value : [value && value.open, value && value.close];
+  const range = { open: parseClockTime(open), close: parseClockTime(close) };
+
+  return range.open !== null && range.close !== null && range.open < range.close ? range : undefined;
+}
+
+// Validate the `hours` config section into { weekly: [7 ranges], holidays: { date: { name, hours } } }.
+// Throws on anything malformed so a typo doesn't silently change the grid.
+function normalizeHoursConfig(hours = {}) {
+  const weeklyConfig = hours.weekly || {};
+  const weekly = DAY_KEYS.map(key => {
+    const value = key in weeklyConfig ? weeklyConfig[key] : (hours.default || DEFAULT_HOURS);
+    const range = parseHoursRange(value);
+    if (range === undefined) {
+      throw new Error(`Invalid hours for ${key}: ${JSON.stringify(value)} (expected ["HH:MM", "HH:MM"] or null)`);
+    }
+    return range;
+  });
+
+  Object.keys(weeklyConfig).forEach(key => {
+    if (!DAY_KEYS.includes(key)) {
+      throw new Error(`Unknown day in hours.weekly: ${key} (expected ${DAY_KEYS.join(', ')})`);
+    }
+  });
+
+  const holidays = {};
+  Object.entries(hours.holidays || {}).forEach(([date, value]) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid holiday date: ${date} (expected YYYY-MM-DD)`);
+    }
+
+    // Either the hours themselves or { name, hours }
+    const named = value !== null && !Array.isArray(value) && 'hours' in value;
+    const range = parseHoursRange(named ? value.hours : value);
+    if (range === undefined) {
+      throw new Error(`Invalid hours for holiday ${date}: ${JSON.stringify(value)}`);
+    }
+
+    holidays[date] = { name: named ? value.name || null : null, hours: range };
+  });
+
+  return { weekly, holidays };
+}
+
+// Helper: Day of week (0 = Sunday) from a number or a day name ("Monday", "mon")
+function parseDayOfWeek(value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 6) return value;
+  const index = DAY_KEYS.indexOf(String(value || '').slice(0, 3).toLowerCase());
+  return index === -1 ? null : index;
+}
+
+// Weekly hours for the configured location from the schedule page's branch
+// list, or null when Daxko does not publish them. Days Daxko leaves out are
+// undefined (fall back to config).
+function parseBranchHours(branches, locationId) {
+  const list = Array.isArray(branches) ? branches : [];
+  const branch = list.find(entry => Number(entry.branch_id) === Number(locationId)) ||
+    (list.length === 1 ? list[0] : null);
+  if (!branch) return null;
+
+  const entries = branch.hours || branch.operating_hours || branch.branch_hours || branch.hours_of_operation;
+  if (!Array.isArray(entries)) return null;
+
+  const weekly = new Array(7).fill(undefined);
+  entries.forEach(entry => {
+    const day = parseDayOfWeek(entry.day_of_week ?? entry.weekday ?? entry.day);
+    if (day === null) return;
+
+    const closed = entry.is_closed || entry.closed;
+    const range = closed ? null : parseHoursRange([
+      entry.open_time ?? entry.opens ?? entry.open ?? entry.start_time,
+      entry.close_time ?? entry.closes ?? entry.close ?? entry.end_time
+    ]);
+    if (range !== undefined) weekly[day] = range;
+  });
+
+  return weekly.some(range => range !== undefined) ? weekly : null;
+}
+
+// Hours for a YYYY-MM-DD date: { open, close, closed, source, name } with
+// open/close in minutes (null when closed) and source 'holiday', 'branch' or 'config'
+function resolveDayHours(date, { hoursConfig, branchHours }) {
+  const holiday = hoursConfig.holidays[date];
+  const day = dayOfWeek(date);
+
+  let source = 'config';
+  let range = hoursConfig.weekly[day];
+
+  if (holiday) {
+    source = 'holiday';
+    range = holiday.hours;
+  } else if (branchHours && branchHours[day] !== undefined) {
+    source = 'branch';
+    range = branchHours[day];
+  }
+
+  return {
+    open: range ? range.open : null,
+    close: range ? range.close : null,
+    closed: !range,
+    source,
+    name: holiday ? holiday.name : null
+  };
+}
+
+// Opening window for resolveDayHours() output as epoch ms, { windowStart,
+// windowEnd }, or null when closed
+function openingWindow(date, hours, timeZone) {
+  if (hours.closed) return null;
+
+  return {
+    windowStart: localTimestamp(date, Math.floor(hours.open / 60), hours.open % 60, timeZone),
+    windowEnd: localTimestamp(date, Math.floor(hours.close / 60), hours.close % 60, timeZone)
+  };
+}
+
+// Helper: resolveDayHours() output in API form, with "HH:MM" times
+function serializeHours(hours) {
+  return {
+    open: hours.closed ? null : formatClockTime(hours.open),
+    close: hours.closed ? null : formatClockTime(hours.close),
+    closed: hours.closed,
+    source: hours.source,
+    name: hours.name
+  };
+}
+
+module.exports = {
+  SLOT_SIZES,
+  parseClockTime,
+  formatClockTime,
+  normalizeHoursConfig,
+  parseBranchHours,
+  resolveDayHours,
+  openingWindow,
+  serializeHours
+};
@@ -0,0 +1,86 @@
+// Minimal RFC 5545 (iCalendar) writer for the subscribable studio feed and
+// single-event "Add to Calendar" downloads.
+
+const PRODID = '-//jcc-mashup//Studio Availability//EN';
+
+// Helper: Escape TEXT values (backslash, semicolon, comma, newline)
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Helper: Format epoch ms / Date as a UTC DATE-TIME (20260105T173000Z)
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Helper: Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Build one VEVENT. start/end are epoch ms or Dates.
+function buildEvent({ uid, start, end, summary, description, location, transparent = false }, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push(`TRANSP:${transparent ? 'TRANSPARENT' : 'OPAQUE'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+// Build a complete VCALENDAR document with CRLF line endings
+function buildCalendar({ name, events }) {
+  const stamp = Date.now();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+
+  events.forEach(event => {
+    lines.push(...buildEvent(event, stamp));
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, escapeText, formatDateTime };
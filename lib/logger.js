@@ -0,0 +1,145 @@
+// Structured logger: one JSON object per line,
+//
+//   {"time":"...","level":"info","msg":"login.succeeded","requestId":"...", ...}
+//
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error; default
+// info). Every event logged while handling an HTTP request carries that
+// request's ID, including events from upstream Daxko calls, via
+// AsyncLocalStorage. Cookies, tokens, passwords and emails are redacted before
+// anything is written.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SENSITIVE_KEY = /^(cookie|cookies|set-cookie|password|authorization|email|username|user_name|secret|p256dh|auth)$|token$/i;
+const EMAIL_PATTERN = /[^\s"'&=?/:;,<>]+(@|%40)[^\s"'&=?/:;,<>]+\.[a-z]{2,}/gi;
+const MAX_DEPTH = 5;
+
+// Routes polled by health checks and metrics scrapers, logged at debug only
+const PROBE_ROUTES = ['/healthz', '/readyz', '/metrics'];
+
+const context = new AsyncLocalStorage();
+
+// Helper: Copy a value with sensitive fields and email addresses masked
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.replace(EMAIL_PATTERN, REDACTED);
+  }
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, status: value.response?.status }, depth);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    if (entry === undefined) return;
+    result[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(entry, depth + 1);
+  });
+  return result;
+}
+
+function createLogger({ level = process.env.LOG_LEVEL || 'info', bindings = {}, write } = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const output = write || ((levelName, line) => {
+    const stream = LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+  });
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...bindings,
+      ...context.getStore(),
+      ...fields
+    });
+    output(levelName, JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    isLevelEnabled: levelName => LEVELS[levelName] >= threshold,
+    // Logger that adds the given fields to every event
+    child: extra => createLogger({ level, bindings: { ...bindings, ...extra }, write: output })
+  };
+}
+
+const logger = createLogger();
+
+// Middleware: Give each request an ID (X-Request-Id, echoed back), run the
+// rest of the request inside its log context and log it when it finishes.
+// Routes are logged by pattern, so feed tokens in paths never reach the log.
+function requestLogger(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  const requestId = /^[\w-]{1,64}$/.test(incoming || '') ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : req.path;
+    const log = PROBE_ROUTES.includes(route) ? logger.debug : logger.info;
+    log('request.completed', {
+      requestId,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  context.run({ requestId }, next);
+}
+
+// Log every call made through an axios instance at debug level. Query strings
+// are dropped from the logged URL (they can carry user names).
+function logUpstreamCalls(axiosInstance) {
+  axiosInstance.interceptors.request.use(requestConfig => {
+    requestConfig.metadata = { startedAt: Date.now() };
+    return requestConfig;
+  });
+
+  const logCall = (requestConfig, status) => {
+    if (!requestConfig) return;
+    logger.debug('upstream.call', {
+      method: (requestConfig.method || 'get').toUpperCase(),
+      url: String(requestConfig.url).split('?')[0],
+      status,
+      durationMs: requestConfig.metadata ? Date.now() - requestConfig.metadata.startedAt : undefined
+    });
+  };
+
+  axiosInstance.interceptors.response.use(
+    response => {
+      logCall(response.config, response.status);
+      return response;
+    },
+    error => {
+      logCall(error.config, error.response ? error.response.status : error.code);
+      return Promise.reject(error);
+    }
+  );
+}
+
+module.exports = { logger, createLogger, redact, requestLogger, logUpstreamCalls, LEVELS };
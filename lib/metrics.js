@@ -0,0 +1,207 @@
+// In-memory metrics for GET /metrics, rendered in the Prometheus text format:
+//
+//   counter    only goes up (requests, failures, logins)
+//   gauge      read at scrape time from a collect() callback (active sessions)
+//   histogram  observations counted into cumulative buckets, plus _sum and
+//              _count (latencies, in seconds)
+//
+// Every metric has a fixed list of label names; values for other labels are
+// ignored, and missing ones are rendered as "". Keep label values to small,
+// known sets (route patterns, endpoint names), never raw paths or user input.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds, up to the default upstream timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Helper: Keep only the declared labels, as strings
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => {
+    picked[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+  });
+  return picked;
+}
+
+// Helper: Escape a label value (backslash, double quote, newline)
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Helper: Render {a="1",b="2"}, or '' without labels
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Helper: Render a number the way Prometheus reads it
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Helper: # HELP and # TYPE lines for a metric
+function header(metric, type) {
+  return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${type}`];
+}
+
+class Counter {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values (JSON) -> { labels, value }
+  }
+
+  inc(labels = {}, amount = 1) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(Object.values(picked));
+    const entry = this.series.get(key) || { labels: picked, value: 0 };
+
+    entry.value += amount;
+    this.series.set(key, entry);
+  }
+
+  render() {
+    const lines = header(this, 'counter');
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+    return lines;
+  }
+}
+
+class Gauge {
+  // collect() returns a number, or [{ labels, value }] for labelled gauges
+  constructor({ name, help, labelNames = [], collect }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = header(this, 'gauge');
+    const collected = this.collect();
+    const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+
+    samples.forEach(({ labels = {}, value }) => {
+      lines.push(`${this.name}${formatLabels(pickLabels(this.labelNames, labels))} ${formatValue(Number(value))}`);
+    });
+    return lines;
+  }
+}
+
+class Histogram {
+  constructor({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // label values (JSON) -> { labels, counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const picked = pickLabels(this.labelNames, labels);
+    const key = JSON.stringify(Object.values(picked));
+    let entry = this.series.get(key);
+
+    if (!entry) {
+      entry = { labels: picked, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, entry);
+    }
+
+    // Buckets are cumulative: a value counts in every bucket at or above it
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // Start timing; call the returned function to observe the elapsed seconds
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return () => this.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+
+  render() {
+    const lines = header(this, 'histogram');
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map(); // name -> metric
+  }
+
+  // Helper: Register a metric once; asking again for the same name returns it
+  register(metric) {
+    if (!this.metrics.has(metric.name)) this.metrics.set(metric.name, metric);
+    return this.metrics.get(metric.name);
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // Every metric in the Prometheus text format
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => lines.push(...metric.render()));
+    return lines.join('\n') + '\n';
+  }
+}
+
+// The process-wide registry
+const metrics = new MetricsRegistry();
+
+const httpRequests = metrics.counter({
+  name: 'jcc_http_requests_total',
+  help: 'HTTP requests handled, by route pattern and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpDuration = metrics.histogram({
+  name: 'jcc_http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by route pattern',
+  labelNames: ['method', 'route']
+});
+
+// Middleware: Count and time every request by route pattern (like the request
+// log). Requests that matched no route (static files, 404s) share one
+// "unmatched" route, so arbitrary paths can't each become a series.
+function requestMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+
+  next();
+}
+
+module.exports = { metrics, MetricsRegistry, requestMetrics, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,155 @@
+// Notification channels for watcher events. Each channel is an async
+// function (session, rule, event) -> void; rules list the channels they use.
+//
+//   inApp    Appends to the session's notification list (always available)
+//   webhook  POSTs the event as JSON to rule.webhookUrl; only to public
+//            addresses, never loopback, private or link-local ones (the
+//            server must not become a way into its own network)
+//   push     Sends a Web Push message to every subscription on the session
+//            (needs VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY)
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const webpush = require('web-push');
+const { logger } = require('./logger');
+
+const MAX_NOTIFICATIONS = 50;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Addresses a webhook may not reach: unspecified, loopback, private (RFC 1918,
+// unique local), carrier-grade NAT, link-local (which includes cloud metadata
+// at 169.254.169.254), multicast and reserved. BlockList applies the IPv4
+// rules to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) as well.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Helper: True for an IP address a webhook may not reach
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Helper: dns.lookup for the webhook agents that fails for blocked addresses.
+// Checking at connect time means a host can't pass validation and then
+// resolve somewhere else (DNS rebinding).
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`);
+      blocked.code = 'EBLOCKEDADDRESS';
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Check a webhook URL: http(s), and a host that is (or resolves only to)
+// public addresses. Returns {} or { error }.
+async function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'webhookUrl must be an http(s) URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'webhookUrl must be an http(s) URL' };
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+  } catch (error) {
+    return { error: `webhookUrl host ${hostname} could not be resolved` };
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    return { error: 'webhookUrl must point to a public address (not localhost, a private network or link-local)' };
+  }
+  return {};
+}
+
+function createNotifiers({ vapidPublicKey, vapidPrivateKey, vapidSubject = 'mailto:admin@localhost' } = {}) {
+  const pushEnabled = Boolean(vapidPublicKey && vapidPrivateKey);
+  if (pushEnabled) {
+    webpush.setVapidDetails(vapidSubject, vapidPublicKey, vapidPrivateKey);
+  }
+
+  const channels = {
+    async inApp(session, rule, event) {
+      session.notifications = [event, ...(session.notifications || [])].slice(0, MAX_NOTIFICATIONS);
+    },
+
+    async webhook(session, rule, event) {
+      if (!rule.webhookUrl) return;
+
+      // Again at delivery: rules may predate the check, and DNS changes.
+      // IP literals skip the agents' lookup, so this is what catches them.
+      const { error } = await validateWebhookUrl(rule.webhookUrl);
+      if (error) throw new Error(error);
+
+      await axios.post(rule.webhookUrl, event, { timeout: WEBHOOK_TIMEOUT_MS, maxRedirects: 0, ...webhookAgents });
+    },
+
+    async push(session, rule, event) {
+      if (!pushEnabled || !session.pushSubscriptions) return;
+
+      const payload = JSON.stringify({ title: 'Studio slot opened', body: event.message });
+
+      await Promise.all(session.pushSubscriptions.map(async subscription => {
+        try {
+          await webpush.sendNotification(subscription, payload);
+        } catch (error) {
+          // 404/410 mean the browser dropped the subscription
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            session.pushSubscriptions = session.pushSubscriptions
+              .filter(entry => entry.endpoint !== subscription.endpoint);
+          } else {
+            throw error;
+          }
+        }
+      }));
+    }
+  };
+
+  // Deliver an event through every channel the rule asks for. A failing
+  // channel is logged and does not stop the others.
+  async function deliver(session, rule, event) {
+    const channelNames = ['inApp', ...(rule.channels || []).filter(name => name !== 'inApp')];
+
+    await Promise.all(channelNames.map(async name => {
+      const channel = channels[name];
+      if (!channel) return;
+
+      try {
+        await channel(session, rule, event);
+      } catch (error) {
+        logger.error('notification.failed', { channel: name, error });
+      }
+    }));
+  }
+
+  return { channels, deliver, pushEnabled, vapidPublicKey: pushEnabled ? vapidPublicKey : null };
+}
+
+module.exports = { createNotifiers, validateWebhookUrl, CHANNELS: ['inApp', 'webhook', 'push'] };
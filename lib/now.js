@@ -0,0 +1,67 @@
+// "Right now" status per studio for GET /api/now and the kiosk display, from
+// one day's availability (see buildDayAvailability in server.js):
+//
+//   status     'free', 'busy', or 'closed' outside the day's opening window
+//   until      when that changes: the end of the free window, the end of the
+//              run of back-to-back classes, or (closed, before opening) the
+//              opening time; null when closed for the rest of the day
+//   current    the class running now, if any
+//   next       the next class to start today, with how full it is
+
+// Helper: The public summary of a busy interval's class
+function summarizeClass(interval) {
+  const classObj = interval.class;
+  const booked = Number(classObj.booked);
+  const capacity = Number(classObj.capacity);
+  const known = Number.isFinite(booked) && Number.isFinite(capacity) && capacity > 0;
+
+  return {
+    name: classObj.name,
+    instructor: classObj.instructor_name || null,
+    start: interval.start,
+    end: interval.end,
+    booked: Number.isFinite(booked) ? booked : null,
+    capacity: Number.isFinite(capacity) ? capacity : null,
+    full: Boolean(classObj.is_class_full),
+    fill: known ? Math.round(Math.min(booked / capacity, 1) * 100) / 100 : null
+  };
+}
+
+// Status of one studio at `now` (epoch ms); window is the day's { start, end }
+// (ISO) or null when closed all day
+function studioStatus(studio, window, now) {
+  const startsAfterNow = studio.busy.filter(interval => Date.parse(interval.start) > now);
+  const next = startsAfterNow.length > 0 ? summarizeClass(startsAfterNow[0]) : null;
+
+  if (!window || now < Date.parse(window.start) || now >= Date.parse(window.end)) {
+    const opensLater = window && now < Date.parse(window.start);
+    return { studio: studio.studio, status: 'closed', until: opensLater ? window.start : null, current: null, next };
+  }
+
+  const current = studio.busy.find(interval => Date.parse(interval.start) <= now && now < Date.parse(interval.end));
+
+  if (current) {
+    // Busy until the next free window opens (or closing, if none does)
+    const nextFree = studio.free.find(freeWindow => Date.parse(freeWindow.start) >= Date.parse(current.end));
+    return {
+      studio: studio.studio,
+      status: 'busy',
+      until: nextFree ? nextFree.start : window.end,
+      current: summarizeClass(current),
+      next
+    };
+  }
+
+  const free = studio.free.find(freeWindow => Date.parse(freeWindow.start) <= now && now < Date.parse(freeWindow.end));
+  return { studio: studio.studio, status: 'free', until: free ? free.end : window.end, current: null, next };
+}
+
+// Status of each named studio; names not in the availability are skipped
+function computeNow(availability, studioNames, now = Date.now()) {
+  return studioNames
+    .map(name => availability.studios.find(studio => studio.studio === name))
+    .filter(Boolean)
+    .map(studio => studioStatus(studio, availability.window, now));
+}
+
+module.exports = { computeNow };
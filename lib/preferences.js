@@ -0,0 +1,161 @@
+// Per-account preferences, shared by every session of the same Daxko login so
+// they follow the user between devices. Kept in a JSON file, keyed by a hash
+// of the username (no email addresses on disk):
+//
+//   favoriteSlots  recurring time slots highlighted in the grid:
+//                  [{ id, days, startTime, endTime, studio }] (studio null = any)
+//   studios        preferred studios: the grid shows these columns, in this
+//                  order, unless a studio filter is active (empty = all)
+//   defaultView    'day' or 'week' when the app opens
+//   rolloverHour   from this gym-local hour on, the app opens on tomorrow
+//                  (0-24; 24 = always today)
+//   slotMinutes    grid slot size (15, 30 or 60), null for the server default
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { SLOT_SIZES } = require('./hours');
+const { logger } = require('./logger');
+
+const MAX_FAVORITE_SLOTS = 20;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const VIEWS = ['day', 'week'];
+
+const DEFAULT_PREFERENCES = {
+  favoriteSlots: [],
+  studios: [],
+  defaultView: 'day',
+  rolloverHour: 12,
+  slotMinutes: null
+};
+
+// Key for a Daxko account: its login username, case-insensitive, hashed
+function accountKey(username) {
+  return crypto.createHash('sha256').update(String(username).trim().toLowerCase()).digest('hex');
+}
+
+// Helper: Validate one favorite slot. Returns { slot } or { error }.
+function normalizeFavoriteSlot(input, studios) {
+  const { id, days, startTime, endTime, studio = null } = input || {};
+
+  if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'favoriteSlots days must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)' };
+  }
+  if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '') || startTime >= endTime) {
+    return { error: 'favoriteSlots startTime and endTime must be HH:MM with startTime before endTime' };
+  }
+  if (studio !== null && !studios.includes(studio)) {
+    return { error: `favoriteSlots studio must be null or one of: ${studios.join(', ')}` };
+  }
+
+  return {
+    slot: {
+      id: typeof id === 'string' && id ? id : crypto.randomUUID(),
+      days: [...new Set(days)].sort((a, b) => a - b),
+      startTime,
+      endTime,
+      studio
+    }
+  };
+}
+
+// Validate a PUT /api/preferences body against the current preferences.
+// Fields left out keep their value. Returns { preferences } or { error }.
+function normalizePreferences(input, current, { studios }) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Preferences must be a JSON object' };
+  }
+
+  const preferences = { ...current };
+
+  if (input.favoriteSlots !== undefined) {
+    if (!Array.isArray(input.favoriteSlots) || input.favoriteSlots.length > MAX_FAVORITE_SLOTS) {
+      return { error: `favoriteSlots must be a list of at most ${MAX_FAVORITE_SLOTS} slots` };
+    }
+
+    const slots = [];
+    for (const entry of input.favoriteSlots) {
+      const { slot, error } = normalizeFavoriteSlot(entry, studios);
+      if (error) return { error };
+      slots.push(slot);
+    }
+    preferences.favoriteSlots = slots;
+  }
+
+  if (input.studios !== undefined) {
+    if (!Array.isArray(input.studios) || !input.studios.every(studio => studios.includes(studio))) {
+      return { error: `studios must be a list of: ${studios.join(', ')}` };
+    }
+    preferences.studios = [...new Set(input.studios)];
+  }
+
+  if (input.defaultView !== undefined) {
+    if (!VIEWS.includes(input.defaultView)) {
+      return { error: `defaultView must be one of: ${VIEWS.join(', ')}` };
+    }
+    preferences.defaultView = input.defaultView;
+  }
+
+  if (input.rolloverHour !== undefined) {
+    if (!Number.isInteger(input.rolloverHour) || input.rolloverHour < 0 || input.rolloverHour > 24) {
+      return { error: 'rolloverHour must be a whole hour from 0 to 24 (24 = never switch to tomorrow)' };
+    }
+    preferences.rolloverHour = input.rolloverHour;
+  }
+
+  if (input.slotMinutes !== undefined) {
+    if (input.slotMinutes !== null && !SLOT_SIZES.includes(input.slotMinutes)) {
+      return { error: `slotMinutes must be null or one of: ${SLOT_SIZES.join(', ')}` };
+    }
+    preferences.slotMinutes = input.slotMinutes;
+  }
+
+  return { preferences };
+}
+
+class PreferencesStore {
+  constructor({ file }) {
+    this.file = file;
+    this.accounts = new Map(); // accountKey -> preferences (+ updatedAt)
+  }
+
+  // An account's preferences, with defaults for anything never set
+  get(account) {
+    return { ...DEFAULT_PREFERENCES, ...(this.accounts.get(account) || {}) };
+  }
+
+  // Replace an account's preferences and persist them
+  set(account, preferences) {
+    const stored = { ...preferences, updatedAt: new Date().toISOString() };
+    this.accounts.set(account, stored);
+    this.saveToDisk();
+    return { ...DEFAULT_PREFERENCES, ...stored };
+  }
+
+  loadFromDisk() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+
+      const accounts = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      Object.entries(accounts).forEach(([account, preferences]) => this.accounts.set(account, preferences));
+      logger.info('preferences.loaded', { accounts: this.accounts.size });
+    } catch (error) {
+      logger.error('preferences.load_failed', { error });
+    }
+  }
+
+  // Persist atomically: write a temp file, then rename over the old one
+  saveToDisk() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+
+    try {
+      fs.writeFileSync(tempFile, JSON.stringify(Object.fromEntries(this.accounts), null, 2), { mode: 0o600 });
+      fs.renameSync(tempFile, this.file);
+      logger.debug('preferences.saved', { accounts: this.accounts.size });
+    } catch (error) {
+      logger.error('preferences.save_failed', { error });
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+}
+
+module.exports = { PreferencesStore, normalizePreferences, accountKey, DEFAULT_PREFERENCES };
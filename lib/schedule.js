@@ -0,0 +1,80 @@
+// Stable class model for /api/v2/schedule (described in openapi.json). Maps
+// Daxko's get_gxp_classes entries, whose field names and date format we do
+// not control, onto:
+//
+//   { id, name, start, end, durationMinutes, studio: { id, name },
+//     instructor: { id, name }, capacity, booked, waitlist, isFull, cancelled }
+//
+// start/end are ISO-8601 with the gym's UTC offset. When Daxko renames a
+// field, fix the lookup lists here and the v2 shape stays the same.
+
+const { parseMSDate } = require('./availability');
+const { toOffsetIsoString } = require('./dates');
+
+const MINUTE = 60 * 1000;
+
+// Helper: First of several possible fields that is set
+function pick(classObj, fields) {
+  for (const field of fields) {
+    if (classObj[field] !== undefined && classObj[field] !== null) return classObj[field];
+  }
+  return null;
+}
+
+// Helper: Number or null
+function toCount(value) {
+  const number = Number(value);
+  return value === null || value === '' || Number.isNaN(number) ? null : number;
+}
+
+// Convert one Daxko class. `mappings` (schedule page props) fills in studio and
+// instructor IDs when the class itself only carries names; times are written
+// with timeZone's offset. Returns null for entries without a usable start/end.
+function normalizeClass(classObj, mappings, timeZone) {
+  const start = parseMSDate(classObj.start_date_time);
+  const end = parseMSDate(classObj.end_date_time);
+  if (start === null || end === null || end < start) return null;
+
+  const studioName = pick(classObj, ['area_name', 'studio_name']);
+  const area = ((mappings && mappings.areas) || []).find(entry => entry.area_name === studioName);
+
+  const instructorName = pick(classObj, ['instructor_name', 'admin_name']);
+  const instructor = ((mappings && mappings.instructors) || []).find(entry =>
+    entry.admin_name === instructorName || `${entry.first_name} ${entry.last_name}` === instructorName
+  );
+
+  const capacity = toCount(pick(classObj, ['capacity', 'max_capacity']));
+  const booked = toCount(pick(classObj, ['booked', 'booked_count', 'reserved_count']));
+  const isFull = Boolean(pick(classObj, ['is_class_full'])) || (capacity !== null && booked !== null && booked >= capacity);
+
+  return {
+    id: String(classObj.gxp_class_id),
+    name: pick(classObj, ['name', 'class_name']),
+    start: toOffsetIsoString(start, timeZone),
+    end: toOffsetIsoString(end, timeZone),
+    durationMinutes: Math.round((end - start) / MINUTE),
+    studio: {
+      id: pick(classObj, ['gxp_studio_id']) ?? (area ? area.gxp_studio_id : null),
+      name: studioName
+    },
+    instructor: {
+      id: pick(classObj, ['gxp_instructor_id']) ?? (instructor ? instructor.gxp_instructor_id : null),
+      name: instructorName
+    },
+    capacity,
+    booked,
+    waitlist: toCount(pick(classObj, ['waitlist_count', 'wait_list_count', 'waitlisted_count'])) ?? 0,
+    isFull,
+    cancelled: Boolean(pick(classObj, ['is_cancelled', 'is_canceled', 'cancelled', 'canceled']))
+  };
+}
+
+// Convert a class list, dropping malformed entries, ordered by start time
+function normalizeClasses(classes, mappings, timeZone) {
+  return (classes || [])
+    .map(classObj => normalizeClass(classObj, mappings, timeZone))
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+}
+
+module.exports = { normalizeClass, normalizeClasses };
@@ -0,0 +1,163 @@
+// Free-window search: "where can I get 45 uninterrupted minutes in either
+// studio before 9 AM this week?". Free windows come from the availability
+// engine (class start *and* end times) within each day's opening hours, are
+// cut down to the requested time of day, and ranked:
+//
+//   1. most spare time beyond the requested duration (bufferMinutes)
+//   2. soonest first
+//
+// Each result names the classes right before and after it, so it is clear
+// what the buffer is up against.
+
+const { parseMSDate, computeAvailability } = require('./availability');
+const { dayOfWeek, localTimestamp } = require('./dates');
+const { parseClockTime } = require('./hours');
+
+const MINUTE = 60 * 1000;
+const MAX_HORIZON_DAYS = 14;
+const MAX_RESULTS = 100;
+const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Helper: Comma-separated (or repeated) query parameter -> trimmed list
+function parseList(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Helper: Integer query parameter with a default; NaN when not a whole number
+function parseInteger(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
+}
+
+// Validate search query parameters. Returns { search } or { error }.
+//
+//   minutes   minimum uninterrupted minutes (default 30)
+//   studio    studio names, comma-separated (default: every tracked studio)
+//   days      weekdays as 0-6 or sun..sat, comma-separated (default: all)
+//   after     HH:MM, earliest start (default: opening time)
+//   before    HH:MM, latest end (default: closing time)
+//   horizon   days to look ahead, starting today (default 7)
+//   limit     results to return (default 20)
+function parseSearchQuery(query, { studios }) {
+  const minutes = parseInteger(query.minutes, 30);
+  const horizonDays = parseInteger(query.horizon, 7);
+  const limit = parseInteger(query.limit, 20);
+  const requestedStudios = parseList(query.studio);
+  const requestedDays = parseList(query.days).map(day =>
+    /^\d$/.test(day) ? Number(day) : DAY_KEYS.indexOf(day.slice(0, 3).toLowerCase())
+  );
+  const after = query.after ? parseClockTime(query.after) : null;
+  const before = query.before ? parseClockTime(query.before) : null;
+
+  if (!Number.isInteger(minutes) || minutes < 5 || minutes > 24 * 60) {
+    return { error: 'minutes must be a whole number from 5 to 1440' };
+  }
+  if (!requestedStudios.every(studio => studios.includes(studio))) {
+    return { error: `studio must be one or more of: ${studios.join(', ')}` };
+  }
+  if (!requestedDays.every(day => day >= 0 && day <= 6)) {
+    return { error: 'days must be weekdays (0 = Sunday ... 6 = Saturday, or sun ... sat)' };
+  }
+  if ((query.after && after === null) || (query.before && before === null)) {
+    return { error: 'after and before must be HH:MM' };
+  }
+  if (after !== null && before !== null && after >= before) {
+    return { error: 'after must be earlier than before' };
+  }
+  if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_HORIZON_DAYS) {
+    return { error: `horizon must be between 1 and ${MAX_HORIZON_DAYS} days` };
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+    return { error: `limit must be between 1 and ${MAX_RESULTS}` };
+  }
+
+  return {
+    search: {
+      minutes,
+      studios: requestedStudios.length > 0 ? [...new Set(requestedStudios)] : studios,
+      days: requestedDays.length > 0 ? [...new Set(requestedDays)].sort((a, b) => a - b) : [0, 1, 2, 3, 4, 5, 6],
+      after: query.after || null,
+      before: query.before || null,
+      horizonDays,
+      limit
+    }
+  };
+}
+
+// Helper: Summary of the class next to a free window
+function describeNeighbor(interval, edge) {
+  if (!interval) return null;
+
+  const classObj = interval.class;
+  return {
+    name: classObj.name,
+    instructor: classObj.instructor_name || null,
+    [edge]: new Date(parseMSDate(edge === 'end' ? classObj.end_date_time : classObj.start_date_time)).toISOString()
+  };
+}
+
+// Ranked free windows matching a search. `days` is [{ date, classes, window }]
+// where window is { windowStart, windowEnd } (opening hours, epoch ms) or
+// null on closed days. Windows that have already started are cut to `now`.
+function findFreeWindows(days, search, { timeZone, now = Date.now() }) {
+  const results = [];
+
+  days.forEach(({ date, classes, window }) => {
+    if (!window || !search.days.includes(dayOfWeek(date))) return;
+
+    // The part of the day the search cares about
+    const after = search.after ? parseClockTime(search.after) : null;
+    const before = search.before ? parseClockTime(search.before) : null;
+    const rangeStart = Math.max(
+      window.windowStart,
+      after !== null ? localTimestamp(date, Math.floor(after / 60), after % 60, timeZone) : -Infinity,
+      now
+    );
+    const rangeEnd = Math.min(
+      window.windowEnd,
+      before !== null ? localTimestamp(date, Math.floor(before / 60), before % 60, timeZone) : Infinity
+    );
+    if (rangeEnd - rangeStart < search.minutes * MINUTE) return;
+
+    // Whole opening hours, so the classes around each window are known
+    computeAvailability(classes, { studios: search.studios, ...window }).forEach(({ studio, busy, free }) => {
+      free.forEach(freeWindow => {
+        const start = Math.max(freeWindow.start, rangeStart);
+        const end = Math.min(freeWindow.end, rangeEnd);
+        const minutes = Math.floor((end - start) / MINUTE);
+        if (minutes < search.minutes) return;
+
+        const previous = busy
+          .filter(interval => interval.end <= freeWindow.start)
+          .sort((a, b) => b.end - a.end)[0];
+        const next = busy.find(interval => interval.start >= freeWindow.end);
+
+        results.push({
+          date,
+          studio,
+          start,
+          end,
+          minutes,
+          bufferMinutes: minutes - search.minutes,
+          previousClass: describeNeighbor(previous, 'end'),
+          nextClass: describeNeighbor(next, 'start')
+        });
+      });
+    });
+  });
+
+  return results
+    .sort((a, b) => b.bufferMinutes - a.bufferMinutes || a.start - b.start)
+    .slice(0, search.limit)
+    .map((result, index) => ({
+      rank: index + 1,
+      ...result,
+      start: new Date(result.start).toISOString(),
+      end: new Date(result.end).toISOString()
+    }));
+}
+
+module.exports = { parseSearchQuery, findFreeWindows };
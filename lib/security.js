@@ -0,0 +1,92 @@
+// Browser-facing defenses for the API:
+//
+//   CORS             only allowlisted origins (config corsOrigins / CORS_ORIGINS)
+//                    may read responses cross-site; same-origin needs no CORS
+//   origin check     state-changing requests (POST/PUT/PATCH/DELETE) must come
+//                    from our own origin or an allowlisted one, so another site
+//                    can't ride a visitor's sessionToken cookie (CSRF)
+//   headers          Content-Security-Policy with frame-ancestors 'none',
+//                    nosniff, a strict referrer policy and HSTS over HTTPS
+//
+// Requests that carry X-Session-Token are CSRF-safe on their own: a browser
+// only sends a custom header cross-site after a CORS preflight, which the
+// allowlist refuses.
+
+const { logger } = require('./logger');
+
+const STATE_CHANGING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  // Inline style attributes (display toggles, heatmap colors) are still used
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// Options for the cors middleware: allowlisted origins get credentialed CORS
+// headers, everyone else gets none (the browser then blocks the response)
+function corsOptions(allowedOrigins) {
+  return {
+    credentials: true,
+    origin: (origin, callback) => callback(null, Boolean(origin) && allowedOrigins.includes(origin))
+  };
+}
+
+// Helper: Origin of the page that sent a request (Origin header, else
+// Referer), 'null' for opaque or unparseable ones, or null when neither is sent
+function requestOrigin(req) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source) return null;
+
+  try {
+    return new URL(source).origin;
+  } catch (error) {
+    return 'null';
+  }
+}
+
+// Middleware: Reject state-changing requests from other sites. Compared by
+// host, so it holds behind a TLS-terminating proxy that forwards Host.
+function originCheck(allowedOrigins) {
+  return (req, res, next) => {
+    if (!STATE_CHANGING_METHODS.includes(req.method)) return next();
+
+    const origin = requestOrigin(req);
+
+    if (origin === null) {
+      // No Origin or Referer: not a browser form or fetch (curl, the CLI,
+      // webhooks), unless it leans on the cookie alone
+      if (req.headers['x-session-token'] || !req.cookies?.sessionToken) return next();
+    } else if (origin !== 'null') {
+      if (new URL(origin).host === req.get('host') || allowedOrigins.includes(origin)) return next();
+    }
+
+    logger.warn('security.origin_rejected', { method: req.method, path: req.path, origin });
+    res.status(403).json({ error: 'Cross-site request blocked' });
+  };
+}
+
+// Middleware: Security headers on every response
+function securityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'same-origin',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=()'
+  });
+
+  if (req.secure) {
+    res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+  }
+  next();
+}
+
+module.exports = { corsOptions, originCheck, securityHeaders, CONTENT_SECURITY_POLICY };
@@ -0,0 +1,260 @@
+// Session store: sessionToken -> { cookies, timestamp, ... } held in memory and
+// persisted to disk. Writes are atomic (temp file + rename). When a secret is
+// configured the whole file is encrypted at rest with AES-256-GCM: besides
+// the Daxko cookies, session tokens, calendar feed tokens, share tokens and
+// webhook URLs each grant access on their own. Without a secret all of it is
+// plaintext. Sessions that opted into staying signed in also keep their Daxko
+// credentials, which are only ever held encrypted (so only with a secret).
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const SESSION_MAX_AGE_MS = 6 * 30 * 24 * 60 * 60 * 1000; // 6 months (approximately)
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Helper: Generate secure random token (sessions, feed links)
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Helper: Derive a 256-bit key from the configured secret
+function deriveKey(secret) {
+  return crypto.scryptSync(secret, 'jcc-mashup-sessions', 32);
+}
+
+// Helper: Encrypt a JSON-serializable value -> 'enc:v1:<iv>:<tag>:<data>'
+function encryptValue(key, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return ENCRYPTED_PREFIX + [iv, tag, data].map(part => part.toString('base64')).join(':');
+}
+
+// Helper: Reverse encryptValue(); throws if the key is wrong or data was tampered with
+function decryptValue(key, payload) {
+  const [iv, tag, data] = payload.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  const plaintext = Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  return JSON.parse(plaintext);
+}
+
+class SessionStore {
+  constructor({ file, secret, maxAge = SESSION_MAX_AGE_MS }) {
+    this.file = file;
+    this.key = secret ? deriveKey(secret) : null;
+    this.maxAge = maxAge;
+    this.sessions = new Map();
+    this.loaded = false; // Set once loadFromDisk() has read the file (or found none)
+
+    if (!this.key) {
+      logger.warn('sessions.unencrypted', { hint: 'set SESSION_ENCRYPTION_KEY to encrypt the session file at rest' });
+    }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  isExpired(session) {
+    return Date.now() - session.timestamp > this.maxAge;
+  }
+
+  // Returns the session, or null if unknown or expired (expired ones are removed)
+  get(sessionToken) {
+    if (!sessionToken) return null;
+
+    const session = this.sessions.get(sessionToken);
+    if (!session) return null;
+
+    if (this.isExpired(session)) {
+      logger.info('session.expired');
+      this.sessions.delete(sessionToken);
+      return null;
+    }
+
+    return session;
+  }
+
+  // Store a new session for the given Daxko cookies; account is the
+  // accountKey() of the login (see lib/preferences.js)
+  set(sessionToken, cookies, account = null) {
+    this.sessions.set(sessionToken, {
+      cookies,
+      account,
+      timestamp: Date.now()
+    });
+    logger.info('session.created');
+  }
+
+  // True when credentials can be stored (that needs the encryption key)
+  get canStoreCredentials() {
+    return Boolean(this.key);
+  }
+
+  // Keep a session's Daxko credentials for re-login, encrypted in memory and
+  // on disk. Returns false (storing nothing) without an encryption key.
+  setCredentials(sessionToken, credentials) {
+    const session = this.sessions.get(sessionToken);
+    if (!session || !this.key) return false;
+
+    session.credentials = encryptValue(this.key, credentials);
+    return true;
+  }
+
+  // A session's stored { username, password }, or null when it has none or
+  // they can't be decrypted (e.g. the key changed)
+  getCredentials(session) {
+    if (!this.key || typeof session.credentials !== 'string') return null;
+
+    try {
+      return decryptValue(this.key, session.credentials);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  delete(sessionToken) {
+    return this.sessions.delete(sessionToken);
+  }
+
+  // Call fn(session, sessionToken) for every session that has not expired
+  forEach(fn) {
+    this.sessions.forEach((session, sessionToken) => {
+      if (!this.isExpired(session)) fn(session, sessionToken);
+    });
+  }
+
+  // Find the session token a calendar feed token belongs to
+  findTokenByFeedToken(feedToken) {
+    if (!feedToken) return null;
+
+    for (const [sessionToken, session] of this.sessions) {
+      if (session.feedToken && session.feedToken === feedToken) {
+        return sessionToken;
+      }
+    }
+
+    return null;
+  }
+
+  // Find the share link a share token belongs to: { sessionToken, session, share }
+  // (see lib/shares.js), or null. Shares of expired sessions are not found.
+  findShare(shareToken) {
+    if (!shareToken) return null;
+
+    for (const [sessionToken, session] of this.sessions) {
+      const share = (session.shares || []).find(entry => entry.token === shareToken);
+      if (share && !this.isExpired(session)) {
+        return { sessionToken, session, share };
+      }
+    }
+
+    return null;
+  }
+
+  // Drop every expired session; returns how many were removed
+  purgeExpired() {
+    let purged = 0;
+
+    this.sessions.forEach((session, sessionToken) => {
+      if (this.isExpired(session)) {
+        this.sessions.delete(sessionToken);
+        purged++;
+      }
+    });
+
+    if (purged > 0) {
+      logger.info('sessions.purged', { count: purged });
+    }
+    return purged;
+  }
+
+  // Helper: The sessions object stored in the file, decrypted. Resolves to
+  // null when the file is encrypted and can't be read (no key, or another one).
+  readSessionsFile() {
+    const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+
+    // Files written without a key are plain JSON, and so are older ones that
+    // only encrypted the cookies (those are decrypted per session below)
+    if (typeof stored.encrypted !== 'string') return stored;
+
+    if (!this.key) return null;
+    try {
+      return decryptValue(this.key, stored.encrypted);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Load sessions from disk on startup. Sessions that cannot be decrypted
+  // (e.g. the key changed) are skipped; their users simply log in again.
+  loadFromDisk() {
+    try {
+      if (!fs.existsSync(this.file)) {
+        this.loaded = true;
+        return;
+      }
+
+      const sessions = this.readSessionsFile();
+      if (!sessions) {
+        this.loaded = true;
+        logger.warn('sessions.file_undecryptable', { hint: 'SESSION_ENCRYPTION_KEY is missing or changed; everyone logs in again' });
+        return;
+      }
+
+      let skipped = 0;
+
+      Object.entries(sessions).forEach(([sessionToken, session]) => {
+        if (typeof session.cookies === 'string' && session.cookies.startsWith(ENCRYPTED_PREFIX)) {
+          if (!this.key) {
+            skipped++;
+            return;
+          }
+
+          try {
+            session.cookies = decryptValue(this.key, session.cookies);
+          } catch (error) {
+            skipped++;
+            return;
+          }
+        }
+
+        this.sessions.set(sessionToken, session);
+      });
+
+      this.purgeExpired();
+      this.loaded = true;
+      logger.info('sessions.loaded', { count: this.sessions.size });
+      if (skipped > 0) {
+        logger.warn('sessions.undecryptable', { count: skipped });
+      }
+    } catch (error) {
+      logger.error('sessions.load_failed', { error });
+    }
+  }
+
+  // Persist sessions atomically: write a temp file, then rename over the old
+  // one. With a key the file is { "encrypted": "enc:v1:..." } and nothing else.
+  saveToDisk() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+
+    try {
+      const sessions = Object.fromEntries(this.sessions);
+      const contents = this.key ? { encrypted: encryptValue(this.key, sessions) } : sessions;
+
+      fs.writeFileSync(tempFile, JSON.stringify(contents, null, 2), { mode: 0o600 });
+      fs.renameSync(tempFile, this.file);
+      logger.debug('sessions.saved', { count: this.sessions.size });
+    } catch (error) {
+      logger.error('sessions.save_failed', { error });
+      fs.rmSync(tempFile, { force: true });
+    }
+  }
+}
+
+module.exports = { SessionStore, generateToken, SESSION_MAX_AGE_MS };
@@ -0,0 +1,98 @@
+// Read-only share links. A share is a token of its own, stored on the owner's
+// session (like the calendar feed token), that reads the schedule through the
+// owner's Daxko cookies:
+//
+//   scope     schedule and availability only, and only for the next `days`
+//             days (rolling, gym-local); never class actions, reservations,
+//             watches, preferences or anything else about the owner
+//   expiry    every share expires on its own (expiresInDays), and can be
+//             revoked earlier; logging out ends all of the session's shares
+//   data      class details are cut down to what the grid shows, so nothing
+//             Daxko adds about the member leaks through
+//
+// { id, token, label, days, createdAt, expiresAt, lastUsedAt }
+
+const crypto = require('crypto');
+const { generateToken } = require('./sessions');
+const { todayDateString, addDays } = require('./dates');
+
+const MAX_SHARES = 10;
+const MAX_SHARE_DAYS = 14;
+const DEFAULT_SHARE_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_LABEL_LENGTH = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Class fields a share may see
+const SHARED_CLASS_FIELDS = ['name', 'area_name', 'instructor_name', 'booked', 'capacity', 'is_class_full'];
+
+// Validate POST /api/shares input. Returns { share } or { error }.
+function normalizeShare(input, now = Date.now()) {
+  const { label = '', days = DEFAULT_SHARE_DAYS, expiresInDays = DEFAULT_EXPIRY_DAYS } = input || {};
+
+  if (typeof label !== 'string' || label.trim().length > MAX_LABEL_LENGTH) {
+    return { error: `label must be text of at most ${MAX_LABEL_LENGTH} characters` };
+  }
+  if (!Number.isInteger(days) || days < 1 || days > MAX_SHARE_DAYS) {
+    return { error: `days must be between 1 and ${MAX_SHARE_DAYS}` };
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    return { error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` };
+  }
+
+  return {
+    share: {
+      id: crypto.randomUUID(),
+      token: generateToken(),
+      label: label.trim() || 'Shared schedule',
+      days,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresInDays * DAY_MS).toISOString(),
+      lastUsedAt: null
+    }
+  };
+}
+
+function isShareExpired(share, now = Date.now()) {
+  return Date.parse(share.expiresAt) <= now;
+}
+
+// The dates a share may read right now: { from, to } (YYYY-MM-DD, inclusive)
+function shareDates(share, timeZone) {
+  const from = todayDateString(timeZone);
+  return { from, to: addDays(from, share.days - 1) };
+}
+
+// A share as the owner sees it (the token only inside the link)
+function serializeShare(share, url) {
+  const { token, ...visible } = share;
+  return { ...visible, url };
+}
+
+// Cut an availability response down to what a share may see
+function redactAvailability(availability) {
+  return {
+    ...availability,
+    studios: availability.studios.map(studio => ({
+      ...studio,
+      busy: studio.busy.map(interval => {
+        const shared = {};
+        SHARED_CLASS_FIELDS.forEach(field => {
+          if (interval.class[field] !== undefined) shared[field] = interval.class[field];
+        });
+        return { ...interval, class: shared };
+      })
+    }))
+  };
+}
+
+module.exports = {
+  normalizeShare,
+  isShareExpired,
+  shareDates,
+  serializeShare,
+  redactAvailability,
+  MAX_SHARES
+};
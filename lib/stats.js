@@ -0,0 +1,163 @@
+// Aggregates the occupancy history (lib/history.js) into:
+//
+//   heatmap      per studio, weekday x hour: the share of that hour the studio
+//                had a class in it, averaged over the recorded days, plus the
+//                average fill (booked / capacity) of those classes
+//   classes      per class name: how often it sells out and how many hours
+//                before the start it filled up
+//   instructors  per instructor: how often their classes sell out
+//
+// Fill and sell-out numbers only count classes that have already started, so
+// a half-booked class next week doesn't drag the averages down.
+
+const { zonedParts, dayOfWeek } = require('./dates');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Helper: Round to two decimals (null stays null)
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Helper: Average of a list, or null when it is empty
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Helper: booked / capacity for a record, or null when unknown
+function fillRatio(record) {
+  return record.capacity > 0 && record.booked !== null ? Math.min(record.booked / record.capacity, 1) : null;
+}
+
+// Helper: Group records by class: classId -> { last, firstFullAt }
+function summarizeClasses(records) {
+  const byClass = new Map();
+
+  records.forEach(record => {
+    const summary = byClass.get(record.classId) || { last: null, firstFullAt: null };
+    summary.last = record;
+    if (record.full && summary.firstFullAt === null) {
+      summary.firstFullAt = Date.parse(record.at);
+    }
+    byClass.set(record.classId, summary);
+  });
+
+  return [...byClass.values()];
+}
+
+// Helper: Split a class into gym-local (weekday, hour) pieces: [{ weekday, hour, minutes }]
+function splitByHour(start, end, weekday, timeZone) {
+  const pieces = [];
+  let cursor = start;
+
+  while (cursor < end) {
+    const parts = zonedParts(cursor, timeZone);
+    const hourEnd = Math.min(end, cursor + HOUR - parts.minute * MINUTE - parts.second * 1000);
+    pieces.push({ weekday, hour: parts.hour, minutes: (hourEnd - cursor) / MINUTE });
+    cursor = hourEnd;
+  }
+
+  return pieces;
+}
+
+// Helper: Weekday x hour utilization grid for one studio. Every class counts
+// toward utilization; only classes that have started count toward averageFill.
+function buildHeatmap(summaries, studio, daysPerWeekday, timeZone, now) {
+  const cells = new Map(); // 'weekday|hour' -> { minutes, fills }
+
+  summaries
+    .filter(({ last }) => last.studio === studio)
+    .forEach(({ last }) => {
+      const fill = Date.parse(last.start) <= now ? fillRatio(last) : null;
+
+      splitByHour(Date.parse(last.start), Date.parse(last.end), dayOfWeek(last.date), timeZone).forEach(piece => {
+        const key = `${piece.weekday}|${piece.hour}`;
+        const cell = cells.get(key) || { minutes: 0, fills: [] };
+        cell.minutes += piece.minutes;
+        if (fill !== null) cell.fills.push(fill);
+        cells.set(key, cell);
+      });
+    });
+
+  return [...cells.entries()]
+    .map(([key, cell]) => {
+      const [weekday, hour] = key.split('|').map(Number);
+      return {
+        weekday,
+        hour,
+        utilization: round(Math.min(cell.minutes / (daysPerWeekday[weekday] * 60), 1)),
+        averageFill: round(average(cell.fills))
+      };
+    })
+    .sort((a, b) => a.weekday - b.weekday || a.hour - b.hour);
+}
+
+// Helper: Sell-out stats for classes grouped by a key (class name, instructor)
+function groupSellOuts(summaries, keyOf) {
+  const groups = new Map();
+
+  summaries.forEach(summary => {
+    const key = keyOf(summary.last);
+    if (!key) return;
+
+    const group = groups.get(key) || { classes: 0, soldOut: 0, fills: [], hoursToFill: [] };
+    group.classes++;
+    if (fillRatio(summary.last) !== null) group.fills.push(fillRatio(summary.last));
+    if (summary.firstFullAt !== null) {
+      group.soldOut++;
+
+      // Only a class seen full before it started says how early it filled
+      const start = Date.parse(summary.last.start);
+      if (summary.firstFullAt <= start) group.hoursToFill.push((start - summary.firstFullAt) / HOUR);
+    }
+    groups.set(key, group);
+  });
+
+  return [...groups.entries()]
+    .map(([name, group]) => ({
+      name,
+      classes: group.classes,
+      soldOut: group.soldOut,
+      soldOutRate: round(group.soldOut / group.classes),
+      averageFill: round(average(group.fills)),
+      // How long before the start it was full; a lower bound, since it counts
+      // from the first recording that saw the class full
+      hoursBeforeStartFull: round(average(group.hoursToFill))
+    }))
+    .sort((a, b) => b.soldOutRate - a.soldOutRate || (b.hoursBeforeStartFull || 0) - (a.hoursBeforeStartFull || 0));
+}
+
+// Build the /api/stats response from history records (oldest first).
+// Only classes on dates from `from` onward count.
+function computeStats(records, { studios, timeZone, from = null, now = Date.now() }) {
+  const inRange = from ? records.filter(record => record.date >= from) : records;
+  const summaries = summarizeClasses(inRange);
+  const started = summaries.filter(({ last }) => Date.parse(last.start) <= now);
+
+  // Days with any recorded class, per weekday: the denominator for utilization
+  const daysPerWeekday = new Array(7).fill(0);
+  new Set(summaries.map(({ last }) => last.date)).forEach(date => {
+    daysPerWeekday[dayOfWeek(date)]++;
+  });
+
+  const dates = summaries.map(({ last }) => last.date).sort();
+
+  return {
+    coverage: {
+      records: inRange.length,
+      classes: summaries.length,
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null,
+      lastRecordedAt: inRange.length > 0 ? inRange[inRange.length - 1].at : null
+    },
+    heatmap: studios.map(studio => ({
+      studio,
+      cells: buildHeatmap(summaries, studio, daysPerWeekday, timeZone, now)
+    })),
+    classes: groupSellOuts(started, record => record.name),
+    instructors: groupSellOuts(started, record => record.instructor)
+  };
+}
+
+module.exports = { computeStats };
@@ -0,0 +1,153 @@
+// Login throttling: failed logins are counted per client IP and per username.
+// Once a key has used up its free attempts it is locked out, and every further
+// failure doubles the lockout (capped), so guessing gets slower and slower:
+//
+//   username  5 free failures, then 30 s, 1 min, 2 min, ... up to 1 hour
+//   IP        20 free failures (shared NATs), same backoff
+//
+// A key's count is forgotten after resetAfterMs without failures, and a
+// successful login clears the username's count (not the IP's, so one valid
+// account can't reset the counter for spraying others). Usernames are only
+// kept as hashes.
+//
+// Logins in flight count too: an allowed check() reserves a slot on each key,
+// held until recordSuccess(), recordFailure() or release(). A key lets only
+// as many attempts run at once as it has free attempts left (one at a time
+// once those are used up), so parallel guesses can't all slip past check()
+// before the first failure is counted.
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  usernameAttempts: 5,
+  ipAttempts: 20,
+  baseLockoutMs: 30 * 1000,
+  maxLockoutMs: 60 * 60 * 1000,
+  resetAfterMs: 60 * 60 * 1000,
+  inFlightRetryMs: 5 * 1000 // Retry-After when the key's slots are all in flight
+};
+
+// Helper: Map key for a username (case-insensitive, hashed)
+function usernameKey(username) {
+  const hash = crypto.createHash('sha256').update(String(username).trim().toLowerCase()).digest('hex');
+  return `user:${hash}`;
+}
+
+class LoginThrottle {
+  constructor(options = {}) {
+    this.settings = { ...DEFAULTS, ...options };
+    this.entries = new Map(); // key -> { failures, pending, lockedUntil, lastFailureAt }
+  }
+
+  // Helper: [{ scope, key, freeAttempts }] for a login attempt
+  keysFor(ip, username) {
+    return [
+      { scope: 'ip', key: `ip:${ip}`, freeAttempts: this.settings.ipAttempts },
+      { scope: 'username', key: usernameKey(username), freeAttempts: this.settings.usernameAttempts }
+    ];
+  }
+
+  // Helper: The entry for a key, or null when it has none or it has lapsed
+  entry(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.pending === 0 && entry.lockedUntil <= now && now - entry.lastFailureAt > this.settings.resetAfterMs) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Whether a login may be attempted: { allowed: true }, with a slot reserved
+  // on each key, or { allowed: false, scope, retryAfterMs } for the longest
+  // lockout (or full set of in-flight slots)
+  check(ip, username, now = Date.now()) {
+    const keys = this.keysFor(ip, username);
+    let blocked = null;
+
+    keys.forEach(({ scope, key, freeAttempts }) => {
+      const entry = this.entry(key, now);
+      if (!entry) return;
+
+      let retryAfterMs = 0;
+      if (entry.lockedUntil > now) {
+        retryAfterMs = entry.lockedUntil - now;
+      } else if (entry.pending >= Math.max(freeAttempts - entry.failures, 1)) {
+        retryAfterMs = this.settings.inFlightRetryMs;
+      }
+
+      if (retryAfterMs > 0 && (!blocked || retryAfterMs > blocked.retryAfterMs)) {
+        blocked = { scope, retryAfterMs };
+      }
+    });
+
+    if (blocked) return { allowed: false, ...blocked };
+
+    keys.forEach(({ key }) => {
+      const entry = this.entry(key, now) || { failures: 0, pending: 0, lockedUntil: 0, lastFailureAt: 0 };
+      entry.pending++;
+      this.entries.set(key, entry);
+    });
+    return { allowed: true };
+  }
+
+  // Give back the slots an allowed check() reserved, for an attempt that
+  // ended without an answer from Daxko (network error, outage)
+  release(ip, username) {
+    this.keysFor(ip, username).forEach(({ key }) => {
+      const entry = this.entries.get(key);
+      if (entry && entry.pending > 0) entry.pending--;
+    });
+  }
+
+  // Count a rejected login; returns the longest lockout it started (ms, 0 for none)
+  recordFailure(ip, username, now = Date.now()) {
+    let lockoutMs = 0;
+
+    this.release(ip, username);
+    this.keysFor(ip, username).forEach(({ key, freeAttempts }) => {
+      const entry = this.entry(key, now) || { failures: 0, pending: 0, lockedUntil: 0, lastFailureAt: 0 };
+      entry.failures++;
+      entry.lastFailureAt = now;
+
+      // The last free failure starts the first lockout
+      const excess = entry.failures - freeAttempts + 1;
+      if (excess > 0) {
+        const duration = Math.min(this.settings.baseLockoutMs * 2 ** (excess - 1), this.settings.maxLockoutMs);
+        entry.lockedUntil = now + duration;
+        lockoutMs = Math.max(lockoutMs, duration);
+      }
+
+      this.entries.set(key, entry);
+    });
+
+    return lockoutMs;
+  }
+
+  // A successful login clears the username's failures
+  recordSuccess(ip, username, now = Date.now()) {
+    this.release(ip, username);
+
+    const entry = this.entry(usernameKey(username), now);
+    if (!entry) return;
+
+    if (entry.pending > 0) {
+      Object.assign(entry, { failures: 0, lockedUntil: 0 });
+    } else {
+      this.entries.delete(usernameKey(username));
+    }
+  }
+
+  // Drop lapsed entries; returns how many were removed
+  purge(now = Date.now()) {
+    let purged = 0;
+
+    [...this.entries.keys()].forEach(key => {
+      if (!this.entry(key, now)) purged++;
+    });
+    return purged;
+  }
+}
+
+module.exports = { LoginThrottle };
@@ -0,0 +1,171 @@
+// HTTP client for upstream (Daxko) calls. Wraps an axios instance with:
+//
+//   timeouts         every call gives up after timeoutMs
+//   retries          idempotent calls (GETs, or { idempotent: true }) are
+//                    retried on timeouts, network errors and 5xx responses,
+//                    with jittered exponential backoff
+//   circuit breaker  after failureThreshold consecutive failures, calls fail
+//                    fast for cooldownMs; the next call after that is a trial
+//                    that closes the breaker again if it succeeds
+//
+// 4xx responses are the caller's problem (bad cookies, bad input) and neither
+// retry nor count towards the breaker.
+//
+// Every attempt is timed and every failure counted in the metrics, labelled
+// with the call's endpoint (callOptions.endpoint, e.g. 'login' or 'classes').
+
+const axios = require('axios');
+const { logger, logUpstreamCalls } = require('./logger');
+const { metrics } = require('./metrics');
+
+const DEFAULTS = {
+  timeoutMs: 10 * 1000,
+  retries: 2,
+  baseDelayMs: 300,
+  failureThreshold: 5,
+  cooldownMs: 30 * 1000
+};
+
+const upstreamDuration = metrics.histogram({
+  name: 'jcc_upstream_request_duration_seconds',
+  help: 'Upstream HTTP request latency in seconds, per attempt, by endpoint',
+  labelNames: ['upstream', 'endpoint']
+});
+
+const upstreamFailures = metrics.counter({
+  name: 'jcc_upstream_failures_total',
+  help: 'Upstream calls that failed (timeout, network, http_5xx or circuit_open), by endpoint',
+  labelNames: ['upstream', 'endpoint', 'reason']
+});
+
+// Socket-level error codes that mean the upstream could not be reached
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE',
+  'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'
+];
+
+// Helper: True when the upstream itself failed (timeout, network error,
+// 5xx or an open breaker), as opposed to rejecting our request. Errors of our
+// own making (ELOGINREQUIRED for an expired Daxko login, parse errors) are
+// not outages, even though they carry a code.
+function isUpstreamUnavailable(error) {
+  if (!error) return false;
+  if (error.code === 'ECIRCUITOPEN') return true;
+  if (!error.response) return Boolean(error.request) || NETWORK_ERROR_CODES.includes(error.code);
+  return error.response.status >= 500;
+}
+
+// Helper: Metrics label for an upstream failure
+function failureReason(error) {
+  if (error.code === 'ECIRCUITOPEN') return 'circuit_open';
+  if (error.response) return 'http_5xx';
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+  return 'network';
+}
+
+// Helper: Wait for ms
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class CircuitBreaker {
+  constructor({ name, failureThreshold, cooldownMs }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  // 'closed' (normal), 'open' (failing fast) or 'half-open' (next call is a trial)
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  // Throws instead of letting a call through while the breaker is open
+  check() {
+    if (this.state !== 'open') return;
+
+    const error = new Error(`${this.name} is unavailable (circuit open)`);
+    error.code = 'ECIRCUITOPEN';
+    throw error;
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      logger.info('upstream.circuit_closed', { upstream: this.name });
+    }
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures++;
+
+    // A failed trial re-opens the breaker for another cooldown
+    if (this.state === 'half-open' || (this.openedAt === null && this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+      logger.warn('upstream.circuit_opened', { upstream: this.name, failures: this.failures, cooldownMs: this.cooldownMs });
+    }
+  }
+}
+
+function createUpstreamClient({ name = 'upstream', ...options } = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const http = axios.create({ timeout: settings.timeoutMs });
+  const breaker = new CircuitBreaker({
+    name,
+    failureThreshold: settings.failureThreshold,
+    cooldownMs: settings.cooldownMs
+  });
+
+  logUpstreamCalls(http);
+
+  // Send one request through the breaker, retrying idempotent ones
+  async function request(requestConfig, { idempotent = requestConfig.method === 'get', endpoint = 'other' } = {}) {
+    const attempts = idempotent ? settings.retries + 1 : 1;
+    const labels = { upstream: name, endpoint };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        breaker.check();
+      } catch (error) {
+        upstreamFailures.inc({ ...labels, reason: failureReason(error) });
+        throw error;
+      }
+
+      const stopTimer = upstreamDuration.startTimer(labels);
+      try {
+        const response = await http.request(requestConfig);
+        stopTimer();
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        stopTimer();
+        if (!isUpstreamUnavailable(error)) {
+          // The upstream answered; it is up even if it said no
+          if (error.response) breaker.recordSuccess();
+          throw error;
+        }
+
+        upstreamFailures.inc({ ...labels, reason: failureReason(error) });
+        breaker.recordFailure();
+        if (attempt >= attempts) throw error;
+
+        // Full jitter: anywhere between 0 and base * 2^(attempt - 1)
+        const delay = Math.random() * settings.baseDelayMs * 2 ** (attempt - 1);
+        logger.debug('upstream.retry', { upstream: name, attempt, delayMs: Math.round(delay), error });
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    breaker,
+    get: (url, requestConfig = {}, callOptions) => request({ ...requestConfig, method: 'get', url }, callOptions),
+    post: (url, data, requestConfig = {}, callOptions) => request({ ...requestConfig, method: 'post', url, data }, callOptions)
+  };
+}
+
+module.exports = { createUpstreamClient, isUpstreamUnavailable, CircuitBreaker };
@@ -0,0 +1,254 @@
+// Background slot watcher. Sessions carry watch rules such as "Mind-Body
+// Studio, weekdays 6-8 AM, next 7 days". Each poll fetches the schedule with
+// the session's own cookies, builds a snapshot per rule and diffs it against
+// the previous one:
+//
+//   slot-opened    a free window (>= rule.minMinutes) appears inside the
+//                  watched time that was not entirely free before
+//   class-opening  a class in the watched time was full and no longer is
+//
+// The first poll after a rule is created (or after a restart) only records a
+// baseline, so existing free time never fires an event. The same goes for a
+// date that just entered the horizon (the window moves forward at midnight):
+// only dates present in both snapshots are diffed.
+
+const crypto = require('crypto');
+const { parseMSDate, computeAvailability } = require('./availability');
+const { todayDateString, addDays, listDates, dayOfWeek, localTimestamp } = require('./dates');
+const { logger } = require('./logger');
+
+const MINUTE = 60 * 1000;
+const MAX_HORIZON_DAYS = 14;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Helper: 'HH:MM' -> { hour, minute }
+function parseTime(time) {
+  const [, hour, minute] = time.match(TIME_PATTERN);
+  return { hour: Number(hour), minute: Number(minute) };
+}
+
+// Validate watch rule input from the API. Returns { rule } or { error }.
+function normalizeRule(input, { studios, channels }) {
+  const {
+    studio,
+    days = [1, 2, 3, 4, 5],
+    startTime,
+    endTime,
+    horizonDays = 7,
+    minMinutes = 30,
+    channels: ruleChannels = ['inApp'],
+    webhookUrl
+  } = input || {};
+
+  if (!studios.includes(studio)) {
+    return { error: `studio must be one of: ${studios.join(', ')}` };
+  }
+  if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'days must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)' };
+  }
+  if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '') || startTime >= endTime) {
+    return { error: 'startTime and endTime must be HH:MM with startTime before endTime' };
+  }
+  if (!Number.isInteger(horizonDays) || horizonDays < 1 || horizonDays > MAX_HORIZON_DAYS) {
+    return { error: `horizonDays must be between 1 and ${MAX_HORIZON_DAYS}` };
+  }
+  if (!Number.isInteger(minMinutes) || minMinutes < 5) {
+    return { error: 'minMinutes must be a whole number of at least 5' };
+  }
+  if (!Array.isArray(ruleChannels) || !ruleChannels.every(name => channels.includes(name))) {
+    return { error: `channels must be a list of: ${channels.join(', ')}` };
+  }
+  if (ruleChannels.includes('webhook') && !/^https?:\/\//.test(webhookUrl || '')) {
+    return { error: 'webhookUrl must be an http(s) URL when the webhook channel is used' };
+  }
+
+  return {
+    rule: {
+      id: crypto.randomUUID(),
+      studio,
+      days: [...new Set(days)].sort((a, b) => a - b),
+      startTime,
+      endTime,
+      horizonDays,
+      minMinutes,
+      channels: ruleChannels,
+      webhookUrl: ruleChannels.includes('webhook') ? webhookUrl : undefined,
+      createdAt: new Date().toISOString()
+    }
+  };
+}
+
+// Helper: "Mon 1/5 6:15 AM–8:00 AM" in the gym's timezone
+function formatWindow(start, end, timeZone) {
+  const startLabel = new Date(start).toLocaleString('en-US', {
+    timeZone, weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit'
+  });
+  const endLabel = new Date(end).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+  return `${startLabel}–${endLabel}`;
+}
+
+// Build the snapshot a rule is diffed on: its free windows and the classes
+// inside its watched time (gym-local), across the rule's horizon, plus the
+// dates the snapshot covers
+function buildSnapshot(rule, classesByDate, { timeZone, now = Date.now() }) {
+  const snapshot = { dates: new Set(), free: [], classes: new Map() };
+  const start = parseTime(rule.startTime);
+  const end = parseTime(rule.endTime);
+
+  Object.entries(classesByDate).forEach(([date, classes], index) => {
+    if (index >= rule.horizonDays) return;
+    snapshot.dates.add(date);
+    if (!rule.days.includes(dayOfWeek(date))) return;
+
+    const windowStart = Math.max(localTimestamp(date, start.hour, start.minute, timeZone), now);
+    const windowEnd = localTimestamp(date, end.hour, end.minute, timeZone);
+    if (windowEnd <= windowStart) return;
+
+    const [availability] = computeAvailability(classes, { studios: [rule.studio], windowStart, windowEnd });
+
+    availability.free
+      .filter(window => window.end - window.start >= rule.minMinutes * MINUTE)
+      .forEach(window => snapshot.free.push({ ...window, date }));
+
+    availability.busy.forEach(({ class: classObj }) => {
+      const classStart = parseMSDate(classObj.start_date_time);
+      snapshot.classes.set(`${classStart}|${classObj.name}`, {
+        date,
+        name: classObj.name,
+        start: classStart,
+        end: parseMSDate(classObj.end_date_time),
+        isFull: Boolean(classObj.is_class_full)
+      });
+    });
+  });
+
+  return snapshot;
+}
+
+// Compare two snapshots of the same rule and describe what opened up
+function diffSnapshots(rule, previous, current, timeZone) {
+  const events = [];
+
+  // A window that fits inside a previous free window only shrank or stayed.
+  // Dates the previous snapshot didn't cover are a baseline, not news.
+  current.free.forEach(window => {
+    if (!previous.dates.has(window.date)) return;
+
+    const wasFree = previous.free.some(prior => prior.start <= window.start && prior.end >= window.end);
+    if (wasFree) return;
+
+    events.push({
+      type: 'slot-opened',
+      start: window.start,
+      end: window.end,
+      message: `${rule.studio} is free ${formatWindow(window.start, window.end, timeZone)}`
+    });
+  });
+
+  current.classes.forEach((classInfo, key) => {
+    const prior = previous.classes.get(key);
+    if (!prior || !prior.isFull || classInfo.isFull) return;
+
+    events.push({
+      type: 'class-opening',
+      start: classInfo.start,
+      end: classInfo.end,
+      className: classInfo.name,
+      message: `${classInfo.name} in ${rule.studio} has an opening (${formatWindow(classInfo.start, classInfo.end, timeZone)})`
+    });
+  });
+
+  return events.map(event => ({
+    id: crypto.randomUUID(),
+    ruleId: rule.id,
+    studio: rule.studio,
+    ...event,
+    start: new Date(event.start).toISOString(),
+    end: new Date(event.end).toISOString(),
+    createdAt: new Date().toISOString(),
+    read: false
+  }));
+}
+
+class SlotWatcher {
+  // fetchClasses(session, sessionToken, date) -> class list for that date
+  // deliver(session, rule, event) -> sends the event through the rule's channels
+  // timeZone: the gym's IANA timezone, which watch rule times are in
+  constructor({ sessionStore, fetchClasses, deliver, intervalMs, timeZone }) {
+    this.sessionStore = sessionStore;
+    this.fetchClasses = fetchClasses;
+    this.deliver = deliver;
+    this.intervalMs = intervalMs;
+    this.timeZone = timeZone;
+    this.snapshots = new Map(); // rule id -> last snapshot
+    this.polling = false;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const watched = [];
+      const ruleIds = new Set();
+
+      this.sessionStore.forEach((session, sessionToken) => {
+        if (session.watchRules && session.watchRules.length > 0) {
+          watched.push({ session, sessionToken });
+          session.watchRules.forEach(rule => ruleIds.add(rule.id));
+        }
+      });
+
+      // Forget snapshots of deleted rules
+      this.snapshots.forEach((snapshot, ruleId) => {
+        if (!ruleIds.has(ruleId)) this.snapshots.delete(ruleId);
+      });
+
+      // One session at a time keeps the load on Daxko low
+      for (const { session, sessionToken } of watched) {
+        await this.checkSession(session, sessionToken);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async checkSession(session, sessionToken) {
+    const horizon = Math.max(...session.watchRules.map(rule => rule.horizonDays));
+    const today = todayDateString(this.timeZone);
+    const classesByDate = {};
+
+    try {
+      for (const date of listDates(today, addDays(today, horizon - 1))) {
+        classesByDate[date] = await this.fetchClasses(session, sessionToken, date);
+      }
+    } catch (error) {
+      logger.error('watcher.poll_failed', { error });
+      return;
+    }
+
+    for (const rule of session.watchRules) {
+      const snapshot = buildSnapshot(rule, classesByDate, { timeZone: this.timeZone });
+      const previous = this.snapshots.get(rule.id);
+      this.snapshots.set(rule.id, snapshot);
+
+      if (!previous) continue;
+
+      for (const event of diffSnapshots(rule, previous, snapshot, this.timeZone)) {
+        logger.info('watcher.event', { type: event.type, studio: event.studio });
+        await this.deliver(session, rule, event);
+      }
+    }
+  }
+}
+
+module.exports = { SlotWatcher, normalizeRule, buildSnapshot, diffSnapshots };
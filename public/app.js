@@ -5,24 +5,80 @@ const loginForm = document.getElementById('loginForm');
 const loginError = document.getElementById('loginError');
 const scheduleGrid = document.getElementById('scheduleGrid');
 const loadingIndicator = document.getElementById('loadingIndicator');
+const staleBanner = document.getElementById('staleBanner');
 const currentDateEl = document.getElementById('currentDate');
 const refreshBtn = document.getElementById('refreshBtn');
 const prevDayBtn = document.getElementById('prevDayBtn');
 const todayBtn = document.getElementById('todayBtn');
 const nextDayBtn = document.getElementById('nextDayBtn');
+const viewToggleBtn = document.getElementById('viewToggleBtn');
+const calendarBtn = document.getElementById('calendarBtn');
+const calendarPanel = document.getElementById('calendarPanel');
+const calendarFeedUrl = document.getElementById('calendarFeedUrl');
+const calendarCreateBtn = document.getElementById('calendarCreateBtn');
+const calendarRevokeBtn = document.getElementById('calendarRevokeBtn');
+const logoutBtn = document.getElementById('logoutBtn');
+const alertsBtn = document.getElementById('alertsBtn');
+const alertsPanel = document.getElementById('alertsPanel');
+const watchForm = document.getElementById('watchForm');
+const watchStudio = document.getElementById('watchStudio');
+const watchError = document.getElementById('watchError');
+const watchList = document.getElementById('watchList');
+const notificationList = document.getElementById('notificationList');
+const reservationsBtn = document.getElementById('reservationsBtn');
+const reservationsPanel = document.getElementById('reservationsPanel');
+const reservationList = document.getElementById('reservationList');
+const searchBtn = document.getElementById('searchBtn');
+const searchPanel = document.getElementById('searchPanel');
+const searchForm = document.getElementById('searchForm');
+const searchStudios = document.getElementById('searchStudios');
+const searchError = document.getElementById('searchError');
+const searchResults = document.getElementById('searchResults');
+const statsBtn = document.getElementById('statsBtn');
+const statsPanel = document.getElementById('statsPanel');
+const statsCoverage = document.getElementById('statsCoverage');
+const statsHeatmap = document.getElementById('statsHeatmap');
+const statsClasses = document.getElementById('statsClasses');
+const statsInstructors = document.getElementById('statsInstructors');
+const preferencesBtn = document.getElementById('preferencesBtn');
+const preferencesPanel = document.getElementById('preferencesPanel');
+const preferencesForm = document.getElementById('preferencesForm');
+const prefStudios = document.getElementById('prefStudios');
+const favoriteForm = document.getElementById('favoriteForm');
+const favoriteList = document.getElementById('favoriteList');
+const favoriteStudio = document.getElementById('favoriteStudio');
+const preferencesError = document.getElementById('preferencesError');
+const sharesBtn = document.getElementById('sharesBtn');
+const sharesPanel = document.getElementById('sharesPanel');
+const shareForm = document.getElementById('shareForm');
+const shareError = document.getElementById('shareError');
+const shareList = document.getElementById('shareList');
+const shareBanner = document.getElementById('shareBanner');
+const filterBar = document.getElementById('filterBar');
+const filterClearBtn = document.getElementById('filterClearBtn');
 
 // Constants
-const STUDIO_MIND_BODY = 'Mind-Body Studio';
-const STUDIO_GROUP_EXERCISE = 'Group Exercise Studio';
-const GYM_HOURS = generateHourlySlots(6, 18); // 6 AM to 6 PM
+const WEEK_DAYS = 7;
+const FILTER_PARAMS = ['instructor', 'studio', 'class_name', 'category']; // Query params, one <select> each
+const SAVED_DAYS_LIMIT = 30; // Days kept in IndexedDB for offline use
+const OFFLINE_RETRY_MS = 30 * 1000; // How often to retry while showing a saved schedule
 
 // State
-let currentViewDate = new Date();
-
-// If it's after noon, default to showing tomorrow's schedule
-if (currentViewDate.getHours() >= 12) {
-  currentViewDate.setDate(currentViewDate.getDate() + 1);
-}
+const shareToken = readShareToken(); // Set when opened from a /share/<token> link (read-only, no login)
+let gymTimeZone = 'America/Chicago'; // Replaced from /api/settings on startup
+let slotMinutes = 60; // Grid slot size (15, 30 or 60): the account's preference, else /api/settings
+let serverSlotMinutes = 60; // The server's default slot size from /api/settings
+let preferences = null; // This account's /api/preferences, once loaded
+let currentViewDate = null; // YYYY-MM-DD at the gym, set once the timezone is known
+let currentView = 'day'; // 'day' or 'week'
+let studios = []; // Configured studio names, loaded from /api/studios
+let reservations = []; // Upcoming reservations / waitlist spots from /api/reservations
+let reservationStatus = {}; // gxp_class_id -> 'reserved' | 'waitlisted'
+let visibleStudios = []; // Studio columns in the last response (narrowed by the studio filter)
+let filterOptionsLoaded = false;
+let filters = readFiltersFromUrl(); // param -> selected IDs, mirrored in the page URL
+let searchResultList = []; // Last free-window search results, for "Add to Calendar"
+let offlineRetryTimer = null; // Set while the grid shows a saved (offline) schedule
 
 // Initialize
 init();
@@ -30,15 +86,67 @@ init();
 async function init() {
   // Set up event listeners
   loginForm.addEventListener('submit', handleLogin);
-  refreshBtn.addEventListener('click', () => loadSchedule());
+  refreshBtn.addEventListener('click', () => loadSchedule({ fresh: true }));
   prevDayBtn.addEventListener('click', () => changeDate(-1));
-  todayBtn.addEventListener('click', () => { currentViewDate = new Date(); loadSchedule(); });
+  todayBtn.addEventListener('click', () => { currentViewDate = gymToday(); loadSchedule(); });
   nextDayBtn.addEventListener('click', () => changeDate(1));
+  viewToggleBtn.addEventListener('click', toggleView);
+  calendarBtn.addEventListener('click', toggleCalendarPanel);
+  calendarCreateBtn.addEventListener('click', () => updateCalendarFeed('POST'));
+  calendarRevokeBtn.addEventListener('click', () => updateCalendarFeed('DELETE'));
+  logoutBtn.addEventListener('click', handleLogout);
+  alertsBtn.addEventListener('click', toggleAlertsPanel);
+  watchForm.addEventListener('submit', handleAddWatch);
+  watchList.addEventListener('click', handleWatchListClick);
+  reservationsBtn.addEventListener('click', toggleReservationsPanel);
+  scheduleGrid.addEventListener('click', handleClassActionClick);
+  reservationList.addEventListener('click', handleClassActionClick);
+  searchBtn.addEventListener('click', toggleSearchPanel);
+  searchForm.addEventListener('submit', handleSearch);
+  searchResults.addEventListener('click', handleSearchResultClick);
+  statsBtn.addEventListener('click', toggleStatsPanel);
+  filterBar.addEventListener('change', handleFilterChange);
+  filterClearBtn.addEventListener('click', clearFilters);
+  preferencesBtn.addEventListener('click', togglePreferencesPanel);
+  preferencesForm.addEventListener('submit', handleSavePreferences);
+  favoriteForm.addEventListener('submit', handleAddFavorite);
+  favoriteList.addEventListener('click', handleFavoriteListClick);
+  sharesBtn.addEventListener('click', toggleSharesPanel);
+  shareForm.addEventListener('submit', handleCreateShare);
+  shareList.addEventListener('click', handleShareListClick);
+  window.addEventListener('online', refreshSavedSchedule);
+
+  await loadSettings();
+
+  currentViewDate = defaultViewDate();
+
+  // A share link opens the read-only schedule instead of the login
+  if (shareToken) {
+    await startSharedView();
+    return;
+  }
+
+  registerServiceWorker();
 
   // Check if we have a valid session
   await checkSession();
 }
 
+// Load public settings (the gym's timezone and slot size); keeps the defaults if that fails
+async function loadSettings() {
+  try {
+    const response = await fetch('/api/settings');
+    if (response.ok) {
+      const settings = await response.json();
+      gymTimeZone = settings.timeZone || gymTimeZone;
+      serverSlotMinutes = settings.slotMinutes || serverSlotMinutes;
+      slotMinutes = serverSlotMinutes;
+    }
+  } catch (error) {
+    console.error('Settings load error:', error);
+  }
+}
+
 // Check if user has valid session
 async function checkSession() {
   try {
@@ -55,6 +163,7 @@ async function checkSession() {
         // Valid session, show schedule
         loginContainer.style.display = 'none';
         scheduleContainer.style.display = 'block';
+        await loadPreferences();
         loadSchedule();
         return;
       }
@@ -65,28 +174,189 @@ async function checkSession() {
     scheduleContainer.style.display = 'none';
   } catch (error) {
     console.error('Session check error:', error);
+
+    // Offline with a session from before: show the saved schedule
+    if (localStorage.getItem('sessionToken')) {
+      loginContainer.style.display = 'none';
+      scheduleContainer.style.display = 'block';
+      loadSchedule();
+      return;
+    }
+
     // Show login on error
     loginContainer.style.display = 'block';
     scheduleContainer.style.display = 'none';
   }
 }
 
-function changeDate(days) {
-  currentViewDate.setDate(currentViewDate.getDate() + days);
+// Move back or forward one day, or one week in week view
+function changeDate(direction) {
+  const days = currentView === 'week' ? direction * WEEK_DAYS : direction;
+  currentViewDate = addDaysToDate(currentViewDate, days);
+  loadSchedule();
+}
+
+// Switch between the single-day grid and the week grid
+function toggleView() {
+  setView(currentView === 'week' ? 'day' : 'week');
   loadSchedule();
 }
 
-// Generate hourly time slots (e.g., 6 AM to 6 PM)
-function generateHourlySlots(startHour, endHour) {
+// Helper: Set the view ('day' or 'week') and the buttons that depend on it
+function setView(view) {
+  currentView = view;
+
+  const isWeek = currentView === 'week';
+  viewToggleBtn.textContent = isWeek ? 'Day View' : 'Week View';
+  prevDayBtn.textContent = isWeek ? '← Previous Week' : '← Previous Day';
+  nextDayBtn.textContent = isWeek ? 'Next Week →' : 'Next Day →';
+  scheduleGrid.classList.toggle('week-view', isWeek);
+}
+
+// The day the app opens on: today, or tomorrow once it's past the rollover
+// hour at the gym (noon unless the account's preferences say otherwise)
+function defaultViewDate() {
+  const rolloverHour = preferences ? preferences.rolloverHour : 12;
+  const today = gymToday();
+  return gymParts(new Date()).hour >= rolloverHour ? addDaysToDate(today, 1) : today;
+}
+
+// Show or hide the calendar feed panel, loading the current feed URL
+async function toggleCalendarPanel() {
+  const isHidden = calendarPanel.style.display === 'none';
+  calendarPanel.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    await updateCalendarFeed('GET');
+  }
+}
+
+// Fetch, create (POST) or revoke (DELETE) the calendar feed link
+async function updateCalendarFeed(method) {
+  try {
+    const sessionToken = localStorage.getItem('sessionToken');
+
+    const response = await fetch('/api/ical/feed', {
+      method,
+      credentials: 'include',
+      headers: sessionToken ? { 'X-Session-Token': sessionToken } : {}
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to update calendar feed');
+    }
+
+    const data = await response.json();
+    calendarFeedUrl.value = data.enabled ? data.url : '';
+    calendarCreateBtn.textContent = data.enabled ? 'New Link' : 'Create Link';
+    calendarRevokeBtn.disabled = !data.enabled;
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    calendarFeedUrl.value = '';
+  }
+}
+
+// Dates and times are always the gym's, whatever timezone the viewer is in.
+// Days are passed around as YYYY-MM-DD strings; moments as Date objects.
+
+// Wall-clock parts of a moment at the gym: { year, month, day, hour, minute }
+function gymParts(date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: gymTimeZone, hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// Today's date at the gym as YYYY-MM-DD
+function gymToday() {
+  const { year, month, day } = gymParts(new Date());
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Add days to a YYYY-MM-DD date
+function addDaysToDate(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// The moment a gym wall-clock time happens on a YYYY-MM-DD date. Tries the
+// offsets from either side of a possible DST change (same rule as the server).
+function gymTime(dateStr, hour, minute = 0) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = timestamp => {
+    const parts = gymParts(new Date(timestamp));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - Math.floor(timestamp / 60000) * 60000;
+  };
+
+  const offsetBefore = offsetAt(wallClock - 12 * 60 * 60 * 1000);
+  const offsetAfter = offsetAt(wallClock + 12 * 60 * 60 * 1000);
+  const matches = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter(candidate => candidate + offsetAt(candidate) === wallClock);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : wallClock - offsetBefore);
+}
+
+// Label a YYYY-MM-DD date (e.g. "Mon, 1/5"); the date is a calendar day, so format it as UTC
+function formatDateLabel(dateStr, options) {
+  return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+// Label a moment in gym time (toLocaleString options)
+function formatGymTime(date, options) {
+  return new Date(date).toLocaleString('en-US', { ...options, timeZone: gymTimeZone });
+}
+
+// Dates shown by the week view, starting at the current view date
+function getWeekDates() {
+  const dates = [];
+  for (let i = 0; i < WEEK_DAYS; i++) {
+    dates.push(addDaysToDate(currentViewDate, i));
+  }
+  return dates;
+}
+
+// Slots are minutes after midnight (gym time), slotMinutes apart from opening
+// until closing; the last one is cut short at closing time
+function generateSlots(open, close) {
   const slots = [];
-  for (let hour = startHour; hour <= endHour; hour++) {
-    const ampm = hour >= 12 ? 'PM' : 'AM';
-    const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
-    slots.push(`${displayHour}:00 ${ampm}`);
+  for (let minutes = open; minutes < close; minutes += slotMinutes) {
+    slots.push({ start: minutes, end: Math.min(minutes + slotMinutes, close) });
   }
   return slots;
 }
 
+// "HH:MM" (as in a day's hours) -> minutes after midnight
+function parseClockTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+// Label minutes after midnight, e.g. 330 -> "5:30 AM"
+function formatSlotLabel(minutes) {
+  const hour = Math.floor(minutes / 60) % 24;
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+  const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
+  return `${displayHour}:${String(minutes % 60).padStart(2, '0')} ${ampm}`;
+}
+
+// The moment a slot boundary happens on a YYYY-MM-DD date
+function slotTime(dateStr, minutes) {
+  return gymTime(dateStr, Math.floor(minutes / 60), minutes % 60);
+}
+
+// Describe a day's opening hours, e.g. "Open 5:30 AM – 9:00 PM" or "Closed (Thanksgiving)"
+function describeHours(hours) {
+  const note = hours.source === 'holiday' ? ` (${hours.name || 'holiday hours'})` : '';
+  if (hours.closed) return `Closed${note}`;
+  return `Open ${formatSlotLabel(parseClockTime(hours.open))} – ${formatSlotLabel(parseClockTime(hours.close))}${note}`;
+}
+
 // Handle login form submission
 async function handleLogin(e) {
   e.preventDefault();
@@ -94,13 +364,14 @@ async function handleLogin(e) {
 
   const username = document.getElementById('username').value;
   const password = document.getElementById('password').value;
+  const staySignedIn = document.getElementById('staySignedIn').checked;
 
   try {
     const response = await fetch('/api/login', {
       method: 'POST',
       credentials: 'include',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ username, password })
+      body: JSON.stringify({ username, password, staySignedIn })
     });
 
     if (response.ok) {
@@ -114,6 +385,7 @@ async function handleLogin(e) {
       // Login successful, load schedule
       loginContainer.style.display = 'none';
       scheduleContainer.style.display = 'block';
+      await loadPreferences();
       loadSchedule();
     } else {
       const error = await response.json();
@@ -125,28 +397,338 @@ async function handleLogin(e) {
   }
 }
 
-// Load schedule from API
-async function loadSchedule() {
-  loadingIndicator.style.display = 'block';
-  scheduleGrid.innerHTML = '';
+// Fetch an API route with the session token attached
+function apiFetch(url, options = {}) {
+  const sessionToken = localStorage.getItem('sessionToken');
+  const headers = { ...(options.headers || {}) };
+  if (sessionToken) headers['X-Session-Token'] = sessionToken;
+  if (options.body) headers['Content-Type'] = 'application/json';
 
-  // Update date display
-  const isToday = isSameDay(currentViewDate, new Date());
-  currentDateEl.textContent = currentViewDate.toLocaleDateString('en-US', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  }) + (isToday ? ' (Today)' : '');
+  return fetch(url, { ...options, credentials: 'include', headers });
+}
+
+// Read filter selections from the page URL so filtered views can be bookmarked
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const selected = {};
+  FILTER_PARAMS.forEach(param => {
+    selected[param] = (params.get(param) || '').split(',').filter(Boolean);
+  });
+  return selected;
+}
+
+// Filter selections as a query string fragment ('&instructor=1,2...')
+function filterQuery() {
+  return FILTER_PARAMS
+    .filter(param => filters[param].length > 0)
+    .map(param => `&${param}=${filters[param].map(encodeURIComponent).join(',')}`)
+    .join('');
+}
+
+// Fill the filter dropdowns from /api/filters, keeping selections from the URL
+async function loadFilterOptions() {
+  const response = await apiFetch('/api/filters');
+  if (!response.ok) return;
+
+  const options = await response.json();
+  const lists = {
+    instructor: options.instructors,
+    studio: options.studios,
+    class_name: options.classNames,
+    category: options.categories
+  };
+
+  FILTER_PARAMS.forEach(param => {
+    const select = filterBar.querySelector(`select[data-filter="${param}"]`);
+    select.innerHTML = lists[param].map(option => {
+      const selected = filters[param].includes(String(option.id)) ? ' selected' : '';
+      return `<option value="${escapeHtml(option.id)}"${selected}>${escapeHtml(option.name)}</option>`;
+    }).join('');
+    select.disabled = lists[param].length === 0;
+  });
+
+  filterOptionsLoaded = true;
+}
+
+// Apply the dropdown selections: update the URL, then reload
+function handleFilterChange(e) {
+  const param = e.target.dataset.filter;
+  if (!param) return;
+
+  filters[param] = Array.from(e.target.selectedOptions).map(option => option.value);
+  updateFilterUrl();
+  loadSchedule();
+}
+
+function clearFilters() {
+  FILTER_PARAMS.forEach(param => {
+    filters[param] = [];
+  });
+  filterBar.querySelectorAll('option').forEach(option => {
+    option.selected = false;
+  });
+  updateFilterUrl();
+  loadSchedule();
+}
+
+function updateFilterUrl() {
+  const params = new URLSearchParams(window.location.search);
+  FILTER_PARAMS.forEach(param => {
+    if (filters[param].length > 0) {
+      params.set(param, filters[param].join(','));
+    } else {
+      params.delete(param);
+    }
+  });
+
+  const query = params.toString().replace(/%2C/g, ',');
+  history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+}
+
+// Escape user-provided text before putting it in HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+// Show or hide the alerts panel; opening it marks notifications as read
+async function toggleAlertsPanel() {
+  const isHidden = alertsPanel.style.display === 'none';
+  alertsPanel.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    watchStudio.innerHTML = studios.map(name => `<option>${escapeHtml(name)}</option>`).join('');
+    await Promise.all([loadWatches(), loadNotifications()]);
+    await apiFetch('/api/notifications/read', { method: 'POST' });
+    alertsBtn.textContent = 'Alerts';
+  }
+}
+
+// Load and render this session's watch rules
+async function loadWatches() {
+  const response = await apiFetch('/api/watches');
+  if (!response.ok) return;
+
+  const { rules } = await response.json();
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  watchList.innerHTML = rules.map(rule => `
+    <li>
+      <span>${escapeHtml(rule.studio)} · ${rule.days.map(day => dayNames[day]).join(', ')} ·
+        ${rule.startTime}–${rule.endTime} · next ${rule.horizonDays} days</span>
+      <button class="btn-secondary" data-watch-id="${rule.id}">Remove</button>
+    </li>
+  `).join('') || '<li>No watches yet</li>';
+}
+
+// Load and render in-app notifications
+async function loadNotifications() {
+  const response = await apiFetch('/api/notifications');
+  if (!response.ok) return null;
+
+  const data = await response.json();
+  notificationList.innerHTML = data.notifications.map(notification => `
+    <li class="${notification.read ? '' : 'unread'}">
+      <span>${escapeHtml(notification.message)}</span>
+      <span class="notification-time">${formatGymTime(notification.createdAt, { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</span>
+    </li>
+  `).join('') || '<li>No notifications yet</li>';
+
+  return data;
+}
 
+// Show the unread notification count on the Alerts button
+async function refreshAlertsBadge() {
+  try {
+    const response = await apiFetch('/api/notifications');
+    if (!response.ok) return;
+
+    const { unread } = await response.json();
+    alertsBtn.textContent = unread > 0 ? `Alerts (${unread})` : 'Alerts';
+  } catch (error) {
+    console.error('Notification check error:', error);
+  }
+}
+
+// Create a watch rule from the alerts form
+async function handleAddWatch(e) {
+  e.preventDefault();
+  watchError.style.display = 'none';
+
+  const webhookUrl = document.getElementById('watchWebhook').value.trim();
+  const wantsPush = document.getElementById('watchPush').checked;
+  const channels = ['inApp'];
+  if (webhookUrl) channels.push('webhook');
+  if (wantsPush) channels.push('push');
+
+  try {
+    if (wantsPush) {
+      await ensurePushSubscription();
+    }
+
+    const response = await apiFetch('/api/watches', {
+      method: 'POST',
+      body: JSON.stringify({
+        studio: watchStudio.value,
+        days: [...watchForm.querySelectorAll('.watch-days input:checked')].map(input => Number(input.value)),
+        startTime: document.getElementById('watchStart').value,
+        endTime: document.getElementById('watchEnd').value,
+        horizonDays: Number(document.getElementById('watchHorizon').value),
+        channels,
+        webhookUrl: webhookUrl || undefined
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to add watch');
+    }
+
+    await loadWatches();
+  } catch (error) {
+    watchError.textContent = error.message;
+    watchError.style.display = 'block';
+  }
+}
+
+// Remove a watch rule when its Remove button is clicked
+async function handleWatchListClick(e) {
+  const ruleId = e.target.dataset.watchId;
+  if (!ruleId) return;
+
+  await apiFetch(`/api/watches/${encodeURIComponent(ruleId)}`, { method: 'DELETE' });
+  await loadWatches();
+}
+
+// Register the service worker and subscribe this browser to Web Push
+async function ensurePushSubscription() {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) {
+    throw new Error('Push notifications are not supported in this browser');
+  }
+
+  const keyResponse = await apiFetch('/api/push/key');
+  const { enabled, publicKey } = await keyResponse.json();
+  if (!enabled) {
+    throw new Error('Push notifications are not configured on this server');
+  }
+
+  const registration = await navigator.serviceWorker.register('/sw.js');
+  await navigator.serviceWorker.ready;
+
+  let subscription = await registration.pushManager.getSubscription();
+  if (!subscription) {
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey)
+    });
+  }
+
+  await apiFetch('/api/push/subscribe', { method: 'POST', body: JSON.stringify(subscription) });
+}
+
+// Convert a base64url VAPID key to the Uint8Array PushManager expects
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Log out: forget the session on the server and show the login form
+async function handleLogout() {
   try {
-    const dateStr = currentViewDate.toISOString().split('T')[0];
     const sessionToken = localStorage.getItem('sessionToken');
 
-    const response = await fetch(`/api/schedule?date=${dateStr}`, {
+    await fetch('/api/logout', {
+      method: 'POST',
       credentials: 'include',
       headers: sessionToken ? { 'X-Session-Token': sessionToken } : {}
     });
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
+  localStorage.removeItem('sessionToken');
+  clearOfflineData();
+  preferences = null;
+  slotMinutes = serverSlotMinutes;
+  loginContainer.style.display = 'block';
+  scheduleContainer.style.display = 'none';
+  calendarPanel.style.display = 'none';
+  alertsPanel.style.display = 'none';
+  reservationsPanel.style.display = 'none';
+  searchPanel.style.display = 'none';
+  statsPanel.style.display = 'none';
+  preferencesPanel.style.display = 'none';
+  sharesPanel.style.display = 'none';
+}
+
+// Load schedule from API. { fresh: true } bypasses the server's cache;
+// { background: true } keeps the current grid up until the new one is ready.
+// Without a network it falls back to the last saved copy of the day(s).
+async function loadSchedule({ fresh = false, background = false } = {}) {
+  clearTimeout(offlineRetryTimer);
+  offlineRetryTimer = null;
+
+  if (!background) {
+    loadingIndicator.style.display = 'block';
+    staleBanner.style.display = 'none';
+    scheduleGrid.innerHTML = '';
+  }
+
+  // Update date display
+  const isWeek = currentView === 'week';
+  const isToday = currentViewDate === gymToday();
+  const weekDates = getWeekDates();
+
+  if (isWeek) {
+    const shortFormat = { weekday: 'short', month: 'short', day: 'numeric' };
+    currentDateEl.textContent = `${formatDateLabel(weekDates[0], shortFormat)} – ` +
+      formatDateLabel(weekDates[weekDates.length - 1], shortFormat);
+  } else {
+    currentDateEl.textContent = formatDateLabel(currentViewDate, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }) + (isToday ? ' (Today)' : '');
+  }
+
+  try {
+    if (studios.length === 0) {
+      await loadStudios();
+    }
+    if (!filterOptionsLoaded && !shareToken) {
+      await loadFilterOptions();
+    }
+
+    const dateStr = currentViewDate;
+    const sessionToken = localStorage.getItem('sessionToken');
+    const url = isWeek
+      ? `/api/schedule/range?from=${dateStr}&to=${weekDates[weekDates.length - 1]}`
+      : `/api/availability?date=${dateStr}`;
+    const freshParam = fresh ? '&fresh=1' : '';
+
+    // Share links read through their own endpoints, unfiltered and never fresh
+    const requestUrl = shareToken
+      ? `/api/shared/${encodeURIComponent(shareToken)}/${isWeek ? 'range' : 'availability'}?${url.split('?')[1]}`
+      : url + freshParam + filterQuery();
+
+    let response;
+    try {
+      response = await fetch(requestUrl, {
+        credentials: 'include',
+        headers: sessionToken ? { 'X-Session-Token': sessionToken } : {}
+      });
+    } catch (error) {
+      // No network, and the service worker had no copy of this exact request
+      const saved = shareToken ? null : await readSavedSchedule(isWeek ? weekDates : [dateStr]);
+      if (!saved) {
+        throw new Error('You are offline and this date has not been saved on this device yet.');
+      }
+      renderSchedulePage(saved.data, { isWeek, isToday, weekDates, savedAt: saved.savedAt });
+      return;
+    }
 
     if (response.status === 401) {
       // Session expired, clear token and show login
@@ -158,108 +740,191 @@ async function loadSchedule() {
     }
 
     if (!response.ok) {
-      throw new Error('Failed to load schedule');
+      const { error } = await response.json().catch(() => ({}));
+      throw new Error(error || 'Failed to load schedule');
     }
 
     const data = await response.json();
-    renderSchedule(data.gxp_classes || [], isToday);
+
+    // Served by the service worker's cache: the network is down
+    const cachedAt = response.headers.get('X-Cached-At');
+    if (cachedAt) {
+      renderSchedulePage(data, { isWeek, isToday, weekDates, savedAt: cachedAt });
+      return;
+    }
+
+    if (shareToken) {
+      renderSchedulePage(data, { isWeek, isToday, weekDates, savedAt: null });
+      return;
+    }
+
+    await loadReservations();
+    renderSchedulePage(data, { isWeek, isToday, weekDates, savedAt: null });
+    saveScheduleDays(isWeek ? (data.days || []) : [data], isWeek ? weekDates : [dateStr]);
+    refreshAlertsBadge();
 
   } catch (error) {
-    scheduleGrid.innerHTML = `<div class="error-message">Failed to load schedule. ${error.message}</div>`;
+    // A failed background refresh leaves the saved schedule in place
+    if (background) {
+      offlineRetryTimer = setTimeout(refreshSavedSchedule, OFFLINE_RETRY_MS);
+    } else {
+      scheduleGrid.innerHTML = `<div class="error-message">Failed to load schedule. ${escapeHtml(error.message)}</div>`;
+    }
     console.error('Schedule load error:', error);
   } finally {
     loadingIndicator.style.display = 'none';
   }
 }
 
-function isSameDay(date1, date2) {
-  return date1.getFullYear() === date2.getFullYear() &&
-         date1.getMonth() === date2.getMonth() &&
-         date1.getDate() === date2.getDate();
-}
+// Draw a schedule response (day or week). savedAt is set when it is an
+// offline copy: the banner says how old it is and a background retry is queued.
+function renderSchedulePage(data, { isWeek, isToday, weekDates, savedAt }) {
+  if (savedAt) {
+    renderOfflineBanner(savedAt);
+    offlineRetryTimer = setTimeout(refreshSavedSchedule, OFFLINE_RETRY_MS);
+  } else {
+    renderStaleBanner(isWeek ? (data.days || []).map(day => day.stale) : [data.stale]);
+  }
+
+  // The studio filter narrows the columns; otherwise the account's preferred
+  // studios show (in their order), or every configured studio
+  const responseStudios = isWeek ? ((data.days || []).find(day => day.studios) || {}).studios : data.studios;
+  visibleStudios = responseStudios ? responseStudios.map(studio => studio.studio) : studios;
+  const preferred = preferences && filters.studio.length === 0
+    ? preferences.studios.filter(name => visibleStudios.includes(name))
+    : [];
+  if (preferred.length > 0) visibleStudios = preferred;
+  scheduleGrid.style.setProperty('--studio-count', visibleStudios.length);
 
-// Parse Microsoft JSON date format: /Date(1769173200000)/
-function parseMSDate(msDateString) {
-  const match = msDateString.match(/\/Date\((\d+)\)\//);
-  if (match) {
-    return new Date(parseInt(match[1]));
+  if (isWeek) {
+    renderWeekSchedule(data.days || [], weekDates);
+  } else {
+    renderSchedule(data, isToday);
   }
-  return null;
 }
 
-// Format time to "H:00 AM/PM"
-function formatTime(date) {
-  const hour = date.getHours();
-  const ampm = hour >= 12 ? 'PM' : 'AM';
-  const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
-  return `${displayHour}:00 ${ampm}`;
+// Reload in the background when connectivity returns while a saved schedule is shown
+function refreshSavedSchedule() {
+  if (offlineRetryTimer === null || scheduleContainer.style.display === 'none') return;
+  loadSchedule({ background: true });
 }
 
-// Check if a class occupies a given time slot
-function classOccupiesSlot(classObj, timeSlot) {
-  const startDate = parseMSDate(classObj.start_date_time);
-  const endDate = parseMSDate(classObj.end_date_time);
+// When Daxko was down the server answers with the last good schedule; say how old it is
+function renderStaleBanner(staleMarkers) {
+  const oldest = staleMarkers
+    .filter(Boolean)
+    .map(stale => new Date(stale.since))
+    .sort((a, b) => a - b)[0];
 
-  if (!startDate || !endDate) return false;
+  if (!oldest) {
+    staleBanner.style.display = 'none';
+    return;
+  }
 
-  const classStartTime = formatTime(startDate);
-  return classStartTime === timeSlot;
+  const time = formatGymTime(oldest, { hour: 'numeric', minute: '2-digit' });
+  staleBanner.textContent = `Daxko is not responding — showing cached data from ${time}`;
+  staleBanner.style.display = 'block';
 }
 
-// Render the schedule grid
-function renderSchedule(classes, isToday) {
-  // Build availability data structure
-  const availability = {};
+// Offline: say when the schedule on screen was saved
+function renderOfflineBanner(savedAt) {
+  const saved = new Date(savedAt);
+  const sameDay = formatGymTime(saved, { dateStyle: 'short' }) === formatGymTime(new Date(), { dateStyle: 'short' });
+  const time = formatGymTime(saved, sameDay
+    ? { hour: 'numeric', minute: '2-digit' }
+    : { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
 
-  GYM_HOURS.forEach(timeSlot => {
-    availability[timeSlot] = {
-      [STUDIO_MIND_BODY]: { available: true, class: null },
-      [STUDIO_GROUP_EXERCISE]: { available: true, class: null }
-    };
+  staleBanner.textContent = `You're offline — showing the schedule saved at ${time}. It will refresh when the connection is back.`;
+  staleBanner.style.display = 'block';
+}
+
+// Load the configured studios; the grid renders one column per studio
+async function loadStudios() {
+  const sessionToken = localStorage.getItem('sessionToken');
+
+  const response = await fetch('/api/studios', {
+    credentials: 'include',
+    headers: sessionToken ? { 'X-Session-Token': sessionToken } : {}
   });
 
-  // Mark time slots as booked
-  classes.forEach(classObj => {
-    const studio = classObj.area_name;
+  // Leave expired sessions to the schedule request, which shows the login form
+  if (response.status === 401) return;
 
-    GYM_HOURS.forEach(timeSlot => {
-      if (classOccupiesSlot(classObj, timeSlot)) {
-        if (availability[timeSlot][studio]) {
-          availability[timeSlot][studio].available = false;
-          availability[timeSlot][studio].class = classObj;
-        }
-      }
-    });
+  if (!response.ok) {
+    throw new Error('Failed to load studios');
+  }
+
+  const data = await response.json();
+  studios = data.studios.map(studio => studio.name);
+  scheduleGrid.style.setProperty('--studio-count', studios.length);
+}
+
+// Format time to "H:MM" (e.g. 7:15) in gym time, used for partial-hour free windows
+function formatClock(date) {
+  const { hour, minute } = gymParts(date);
+  const displayHour = hour > 12 ? hour - 12 : (hour === 0 ? 12 : hour);
+  return `${displayHour}:${String(minute).padStart(2, '0')}`;
+}
+
+// Work out what a studio looks like during one slot from its free windows
+function getSlotAvailability(studio, slotStart, slotEnd) {
+  if (!studio) return { available: true, classes: [], freeWindows: [] };
+
+  // Free windows clipped to the slot
+  const freeWindows = studio.free
+    .map(window => ({
+      start: new Date(Math.max(new Date(window.start), slotStart)),
+      end: new Date(Math.min(new Date(window.end), slotEnd))
+    }))
+    .filter(window => window.start < window.end);
+
+  // Classes running at any point during the slot; matchesFilters is only
+  // false when a filter is active and the class does not match it
+  const classes = studio.busy
+    .filter(interval => new Date(interval.start) < slotEnd && new Date(interval.end) > slotStart)
+    .map(interval => ({ ...interval.class, matchesFilters: interval.matchesFilters !== false }));
+
+  return { available: classes.length === 0, classes, freeWindows };
+}
+
+// Render the day grid from an /api/availability response
+function renderSchedule(day, isToday) {
+  if (day.hours.closed) {
+    scheduleGrid.innerHTML = `<div class="closed-message">${escapeHtml(describeHours(day.hours))}</div>`;
+    return;
+  }
+
+  const studioByName = {};
+  (day.studios || []).forEach(studio => {
+    studioByName[studio.studio] = studio;
   });
 
-  // Filter out past hours if viewing today
+  // Filter out slots that are already over if viewing today
   const now = new Date();
-  const currentHour = now.getHours();
-  const hoursToShow = isToday
-    ? GYM_HOURS.filter(timeSlot => {
-        const hour = parseTimeSlot(timeSlot);
-        return hour >= currentHour;
-      })
-    : GYM_HOURS;
+  const slots = generateSlots(parseClockTime(day.hours.open), parseClockTime(day.hours.close))
+    .filter(slot => !isToday || slotTime(currentViewDate, slot.end) > now);
 
   // Render grid
-  let html = '<div class="grid-header">';
+  let html = `<div class="hours-note">${escapeHtml(describeHours(day.hours))}</div>`;
+  html += '<div class="grid-header">';
   html += '<div class="grid-cell header-cell">Time</div>';
-  html += `<div class="grid-cell header-cell">${STUDIO_MIND_BODY}</div>`;
-  html += `<div class="grid-cell header-cell">${STUDIO_GROUP_EXERCISE}</div>`;
+  visibleStudios.forEach(studioName => {
+    html += `<div class="grid-cell header-cell">${escapeHtml(studioName)}</div>`;
+  });
   html += '</div>';
 
-  hoursToShow.forEach(timeSlot => {
-    html += '<div class="grid-row">';
-    html += `<div class="grid-cell time-cell">${timeSlot}</div>`;
+  slots.forEach(slot => {
+    const slotStart = slotTime(currentViewDate, slot.start);
+    const slotEnd = slotTime(currentViewDate, slot.end);
 
-    // Mind-Body Studio
-    const mindBodySlot = availability[timeSlot][STUDIO_MIND_BODY];
-    html += renderSlot(mindBodySlot);
+    html += '<div class="grid-row">';
+    html += `<div class="grid-cell time-cell">${formatSlotLabel(slot.start)}</div>`;
 
-    // Group Exercise Studio
-    const groupExSlot = availability[timeSlot][STUDIO_GROUP_EXERCISE];
-    html += renderSlot(groupExSlot);
+    // One column per visible studio
+    visibleStudios.forEach(studioName => {
+      const favorite = isFavoriteSlot(studioName, currentViewDate, slot.start, slot.end);
+      html += renderSlot(getSlotAvailability(studioByName[studioName], slotStart, slotEnd), currentViewDate, favorite);
+    });
 
     html += '</div>';
   });
@@ -267,35 +932,730 @@ function renderSchedule(classes, isToday) {
   scheduleGrid.innerHTML = html;
 }
 
-// Parse time slot string to hour (24-hour format)
-function parseTimeSlot(timeSlot) {
-  const match = timeSlot.match(/(\d+):00 (AM|PM)/);
-  if (!match) return 0;
+// Render the week grid: one group per studio, days as columns. Rows cover
+// the earliest opening to the latest closing of the week; cells outside a
+// day's own hours (and every cell of a closed day) are greyed out.
+function renderWeekSchedule(days, weekDates) {
+  const openDays = days.filter(day => day.hours && !day.hours.closed);
+  if (openDays.length === 0) {
+    scheduleGrid.innerHTML = '<div class="closed-message">Closed all week</div>';
+    return;
+  }
+
+  const slots = generateSlots(
+    Math.min(...openDays.map(day => parseClockTime(day.hours.open))),
+    Math.max(...openDays.map(day => parseClockTime(day.hours.close)))
+  );
+  let html = '';
+
+  visibleStudios.forEach(studioName => {
+    html += `<div class="grid-cell studio-group-header">${escapeHtml(studioName)}</div>`;
 
-  let hour = parseInt(match[1]);
-  const ampm = match[2];
+    html += '<div class="grid-header">';
+    html += '<div class="grid-cell header-cell">Time</div>';
+    weekDates.forEach((date, index) => {
+      const label = formatDateLabel(date, { weekday: 'short', month: 'numeric', day: 'numeric' });
+      const hours = (days[index] || {}).hours;
+      const closedNote = hours && hours.closed ? `<br><span class="header-closed">${escapeHtml(describeHours(hours))}</span>` : '';
+      html += `<div class="grid-cell header-cell">${label}${closedNote}</div>`;
+    });
+    html += '</div>';
+
+    slots.forEach(slot => {
+      html += '<div class="grid-row">';
+      html += `<div class="grid-cell time-cell">${formatSlotLabel(slot.start)}</div>`;
+
+      weekDates.forEach((date, index) => {
+        const day = days[index] || { studios: [] };
+        const open = day.hours && !day.hours.closed ? parseClockTime(day.hours.open) : null;
+        const close = open !== null ? parseClockTime(day.hours.close) : null;
 
-  if (ampm === 'PM' && hour !== 12) hour += 12;
-  if (ampm === 'AM' && hour === 12) hour = 0;
+        if (open === null || slot.end <= open || slot.start >= close) {
+          html += '<div class="grid-cell slot-closed"></div>';
+          return;
+        }
+
+        const studio = day.studios.find(entry => entry.studio === studioName);
+        const slotStart = slotTime(date, Math.max(slot.start, open));
+        const slotEnd = slotTime(date, Math.min(slot.end, close));
 
-  return hour;
+        const favorite = isFavoriteSlot(studioName, date, slot.start, slot.end);
+        html += renderSlot(getSlotAvailability(studio, slotStart, slotEnd), date, favorite);
+      });
+
+      html += '</div>';
+    });
+  });
+
+  scheduleGrid.innerHTML = html;
 }
 
-// Render individual slot
-function renderSlot(slot) {
+// Render individual slot; dateStr is the day the slot belongs to, favorite
+// whether it overlaps one of the account's favorite time slots
+function renderSlot(slot, dateStr, favorite = false) {
+  const favoriteClass = favorite ? ' slot-favorite' : '';
+
   if (slot.available) {
-    return '<div class="grid-cell slot-available"><span class="availability-badge">✓ Available</span></div>';
-  } else {
-    const classObj = slot.class;
-    const isFull = classObj.is_class_full;
-    const fullClass = isFull ? ' slot-full' : '';
+    return `<div class="grid-cell slot-available${favoriteClass}"><span class="availability-badge">✓ Available</span></div>`;
+  }
 
-    return `
-      <div class="grid-cell slot-booked${fullClass}">
-        <div class="class-name">${classObj.name}</div>
-        <div class="class-instructor">${classObj.instructor_name}</div>
-        <div class="class-capacity">${classObj.booked}/${classObj.capacity} booked</div>
+  const isFull = slot.classes.some(classObj => classObj.is_class_full);
+  const fullClass = isFull ? ' slot-full' : '';
+  const partialClass = slot.freeWindows.length > 0 ? ' slot-partial' : '';
+
+  // Classes outside the active filters stay visible (they still block the
+  // studio) but are dimmed
+  const classesHtml = slot.classes.map(classObj => `
+        <div class="class-entry${classObj.matchesFilters ? '' : ' class-dimmed'}">
+          <div class="class-name">${escapeHtml(classObj.name)}</div>
+          <div class="class-instructor">${escapeHtml(classObj.instructor_name || '')}</div>
+          <div class="class-capacity">${escapeHtml(classObj.booked)}/${escapeHtml(classObj.capacity)} booked</div>
+          ${renderClassAction(classObj, dateStr)}
+        </div>
+  `).join('');
+
+  const freeHtml = slot.freeWindows.map(window =>
+    `<div class="free-window">Free ${formatClock(window.start)}–${formatClock(window.end)}</div>`
+  ).join('');
+
+  return `
+      <div class="grid-cell slot-booked${fullClass}${partialClass}${favoriteClass}">
+        ${classesHtml}
+        ${freeHtml}
       </div>
     `;
+}
+
+// Reserve / Cancel / Waitlist button for a class, based on what we already hold
+function renderClassAction(classObj, dateStr) {
+  const classId = classObj.gxp_class_id;
+  if (classId === undefined || classId === null) return '';
+
+  const status = reservationStatus[classId];
+  let action = 'reserve';
+  let label = 'Reserve';
+
+  if (status === 'reserved') {
+    action = 'cancel';
+    label = 'Cancel';
+  } else if (status === 'waitlisted') {
+    action = 'leaveWaitlist';
+    label = 'Leave Waitlist';
+  } else if (classObj.is_class_full) {
+    action = 'joinWaitlist';
+    label = 'Join Waitlist';
+  }
+
+  return `<button class="btn-class-action" data-class-id="${escapeHtml(classId)}" data-class-date="${dateStr}" data-class-action="${action}">${label}</button>`;
+}
+
+// HTTP method and route suffix for each class action
+const CLASS_ACTION_REQUESTS = {
+  reserve: ['POST', 'reserve'],
+  cancel: ['DELETE', 'reserve'],
+  joinWaitlist: ['POST', 'waitlist'],
+  leaveWaitlist: ['DELETE', 'waitlist']
+};
+
+// Handle clicks on Reserve / Cancel / Waitlist buttons (grid and My Reservations)
+async function handleClassActionClick(e) {
+  const button = e.target.closest('[data-class-action]');
+  if (!button) return;
+
+  const { classId, classDate, classAction } = button.dataset;
+  const [method, route] = CLASS_ACTION_REQUESTS[classAction];
+  button.disabled = true;
+
+  try {
+    const response = await apiFetch(`/api/classes/${encodeURIComponent(classId)}/${route}`, {
+      method,
+      body: JSON.stringify({ date: classDate })
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Request failed');
+    }
+
+    await loadSchedule();
+    if (reservationsPanel.style.display !== 'none') {
+      renderReservations();
+    }
+  } catch (error) {
+    alert(error.message);
+    button.disabled = false;
+  }
+}
+
+// Load reservations made through this app and index them by class ID
+async function loadReservations() {
+  const response = await apiFetch('/api/reservations');
+  if (!response.ok) return;
+
+  reservations = (await response.json()).reservations;
+  reservationStatus = {};
+  reservations.forEach(entry => {
+    reservationStatus[entry.classId] = entry.status;
+  });
+}
+
+// Show or hide the My Reservations panel
+async function toggleReservationsPanel() {
+  const isHidden = reservationsPanel.style.display === 'none';
+  reservationsPanel.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    await loadReservations();
+    renderReservations();
+  }
+}
+
+// Render the My Reservations list
+function renderReservations() {
+  reservationList.innerHTML = reservations.map(entry => {
+    const when = formatGymTime(entry.start, {
+      weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    });
+    const isWaitlisted = entry.status === 'waitlisted';
+
+    return `
+      <li>
+        <span>${escapeHtml(entry.name)} · ${escapeHtml(entry.studio)} · ${when}${isWaitlisted ? ' (waitlist)' : ''}</span>
+        <button class="btn-secondary" data-class-id="${escapeHtml(entry.classId)}" data-class-date="${entry.date}"
+          data-class-action="${isWaitlisted ? 'leaveWaitlist' : 'cancel'}">${isWaitlisted ? 'Leave Waitlist' : 'Cancel'}</button>
+      </li>
+    `;
+  }).join('') || '<li>No upcoming reservations</li>';
+}
+
+// Show or hide the Find a Slot panel
+function toggleSearchPanel() {
+  const isHidden = searchPanel.style.display === 'none';
+  searchPanel.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden && !searchStudios.hasChildNodes()) {
+    searchStudios.innerHTML = studios
+      .map(name => `<label><input type="checkbox" value="${escapeHtml(name)}" checked> ${escapeHtml(name)}</label>`)
+      .join('');
+  }
+}
+
+// Run a free-window search from the panel's form
+async function handleSearch(e) {
+  e.preventDefault();
+  searchError.style.display = 'none';
+  searchResults.innerHTML = '<li>Searching...</li>';
+
+  const checkedValues = container => [...container.querySelectorAll('input:checked')].map(input => input.value);
+  const params = new URLSearchParams({
+    minutes: document.getElementById('searchMinutes').value,
+    horizon: document.getElementById('searchHorizon').value,
+    studio: checkedValues(searchStudios).join(','),
+    days: checkedValues(searchForm.querySelector('.watch-days:not(#searchStudios)')).join(',')
+  });
+  const after = document.getElementById('searchAfter').value;
+  const before = document.getElementById('searchBefore').value;
+  if (after) params.set('after', after);
+  if (before) params.set('before', before);
+
+  try {
+    const response = await apiFetch(`/api/search/free-windows?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Search failed');
+    }
+
+    searchResultList = data.results;
+    renderSearchResults();
+  } catch (error) {
+    searchResults.innerHTML = '';
+    searchError.textContent = error.message;
+    searchError.style.display = 'block';
+  }
+}
+
+// Render the ranked search results
+function renderSearchResults() {
+  searchResults.innerHTML = searchResultList.map((result, index) => {
+    const when = formatGymTime(result.start, { weekday: 'short', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' }) +
+      `–${formatGymTime(result.end, { hour: 'numeric', minute: '2-digit' })}`;
+    const neighbors = [
+      result.previousClass && `after ${escapeHtml(result.previousClass.name)}`,
+      result.nextClass && `before ${escapeHtml(result.nextClass.name)}`
+    ].filter(Boolean).join(', ');
+
+    return `
+      <li>
+        <span>
+          <strong>${when}</strong> · ${escapeHtml(result.studio)} · ${result.minutes} min
+          <span class="search-buffer">(${result.bufferMinutes} min to spare${neighbors ? `; ${neighbors}` : ''})</span>
+        </span>
+        <button class="btn-secondary" data-search-index="${index}">Add to Calendar</button>
+      </li>
+    `;
+  }).join('') || '<li>No free windows match</li>';
+}
+
+// "Add to Calendar" on a search result downloads it as an .ics event, built by the server
+async function handleSearchResultClick(e) {
+  const result = searchResultList[e.target.dataset.searchIndex];
+  if (!result) return;
+
+  const params = new URLSearchParams({ studio: result.studio, start: result.start, end: result.end });
+
+  try {
+    const response = await apiFetch(`/api/search/free-windows.ics?${params}`);
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Failed to build calendar event');
+    }
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = 'studio-time.ics';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  } catch (error) {
+    searchError.textContent = error.message;
+    searchError.style.display = 'block';
+  }
+}
+
+// Show or hide the Busiest Times panel; the stats are loaded each time it opens
+async function toggleStatsPanel() {
+  const isHidden = statsPanel.style.display === 'none';
+  statsPanel.style.display = isHidden ? 'block' : 'none';
+  if (!isHidden) return;
+
+  statsCoverage.textContent = 'Loading...';
+  try {
+    const response = await apiFetch('/api/stats');
+    if (!response.ok) throw new Error('Failed to load stats');
+    renderStats(await response.json());
+  } catch (error) {
+    statsCoverage.textContent = error.message;
+  }
+}
+
+// Render the heatmaps and sell-out lists from /api/stats
+function renderStats(stats) {
+  const { coverage } = stats;
+  if (coverage.classes === 0) {
+    statsCoverage.textContent = 'No history recorded yet. The server records occupancy every hour while someone is logged in.';
+    statsHeatmap.innerHTML = '';
+    statsClasses.innerHTML = '';
+    statsInstructors.innerHTML = '';
+    return;
+  }
+
+  statsCoverage.textContent = `Average share of each hour with a class, ${formatDateLabel(coverage.from, { month: 'short', day: 'numeric' })}` +
+    ` – ${formatDateLabel(coverage.to, { month: 'short', day: 'numeric' })} (${coverage.classes} classes).`;
+  statsHeatmap.innerHTML = stats.heatmap.map(renderHeatmap).join('');
+
+  const percent = value => value === null ? '–' : `${Math.round(value * 100)}%`;
+  const renderSellOuts = (list, describe) => list.slice(0, 10).map(entry => `
+    <li>
+      <span>${escapeHtml(entry.name)}</span>
+      <span class="stats-detail">${describe(entry)}</span>
+    </li>
+  `).join('') || '<li>Not enough history yet</li>';
+
+  statsClasses.innerHTML = renderSellOuts(stats.classes.filter(entry => entry.soldOut > 0), entry =>
+    `sold out ${entry.soldOut}/${entry.classes}` +
+    (entry.hoursBeforeStartFull !== null ? ` · full ~${Math.round(entry.hoursBeforeStartFull)} h before start` : ''));
+  statsInstructors.innerHTML = renderSellOuts(stats.instructors, entry =>
+    `sold out ${percent(entry.soldOutRate)} of ${entry.classes} · avg ${percent(entry.averageFill)} full`);
+}
+
+// One studio's weekday x hour heatmap as a table; darker = busier
+function renderHeatmap({ studio, cells }) {
+  if (cells.length === 0) return '';
+
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const hours = cells.map(cell => cell.hour);
+  const firstHour = Math.min(...hours);
+  const lastHour = Math.max(...hours);
+  const cellAt = {};
+  cells.forEach(cell => { cellAt[`${cell.weekday}|${cell.hour}`] = cell; });
+
+  let html = `<table class="heatmap"><caption>${escapeHtml(studio)}</caption><tr><th></th>`;
+  for (let hour = firstHour; hour <= lastHour; hour++) {
+    html += `<th>${formatSlotLabel(hour * 60).replace(':00 ', '')}</th>`;
+  }
+  html += '</tr>';
+
+  dayNames.forEach((dayName, weekday) => {
+    html += `<tr><th>${dayName}</th>`;
+    for (let hour = firstHour; hour <= lastHour; hour++) {
+      const cell = cellAt[`${weekday}|${hour}`];
+      const utilization = cell ? cell.utilization : 0;
+      const title = cell
+        ? `${dayName} ${formatSlotLabel(hour * 60)}: class ${Math.round(utilization * 100)}% of the time` +
+          (cell.averageFill !== null ? `, ${Math.round(cell.averageFill * 100)}% full on average` : '')
+        : `${dayName} ${formatSlotLabel(hour * 60)}: no classes`;
+      html += `<td style="--utilization: ${utilization}" title="${escapeHtml(title)}"></td>`;
+    }
+    html += '</tr>';
+  });
+
+  return html + '</table>';
+}
+
+// Load this account's preferences and apply them: slot size, and the view
+// and day the app opens on. Keeps the defaults if that fails.
+async function loadPreferences() {
+  try {
+    const response = await apiFetch('/api/preferences');
+    if (!response.ok) return;
+
+    preferences = (await response.json()).preferences;
+    slotMinutes = preferences.slotMinutes || serverSlotMinutes;
+    currentViewDate = defaultViewDate();
+    setView(preferences.defaultView);
+  } catch (error) {
+    console.error('Preferences load error:', error);
+  }
+}
+
+// Helper: Whether a slot (minutes after midnight on dateStr) overlaps a
+// favorite time slot for that weekday and studio
+function isFavoriteSlot(studioName, dateStr, start, end) {
+  if (!preferences) return false;
+
+  const weekday = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return preferences.favoriteSlots.some(favorite =>
+    favorite.days.includes(weekday) &&
+    (favorite.studio === null || favorite.studio === studioName) &&
+    parseClockTime(favorite.startTime) < end &&
+    parseClockTime(favorite.endTime) > start
+  );
+}
+
+// Show or hide the preferences panel, filling it from the loaded preferences
+function togglePreferencesPanel() {
+  const isHidden = preferencesPanel.style.display === 'none';
+  preferencesPanel.style.display = isHidden ? 'block' : 'none';
+  preferencesError.style.display = 'none';
+  if (!isHidden) return;
+
+  if (!preferences) {
+    showPreferencesError('Preferences could not be loaded. Try logging in again.');
+    return;
+  }
+
+  document.getElementById('prefDefaultView').value = preferences.defaultView;
+  document.getElementById('prefRolloverHour').value = String(preferences.rolloverHour);
+  document.getElementById('prefSlotMinutes').value = preferences.slotMinutes ? String(preferences.slotMinutes) : '';
+  prefStudios.innerHTML = studios.map(name => {
+    const checked = preferences.studios.includes(name) ? ' checked' : '';
+    return `<label><input type="checkbox" value="${escapeHtml(name)}"${checked}> ${escapeHtml(name)}</label>`;
+  }).join('');
+  favoriteStudio.innerHTML = '<option value="">Any studio</option>' +
+    studios.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+
+  renderFavoriteList();
+}
+
+// Render the favorite time slots with their Remove buttons
+function renderFavoriteList() {
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  favoriteList.innerHTML = preferences.favoriteSlots.map(favorite => `
+    <li>
+      <span>${escapeHtml(favorite.studio || 'Any studio')} · ${favorite.days.map(day => dayNames[day]).join(', ')} ·
+        ${favorite.startTime}–${favorite.endTime}</span>
+      <button class="btn-secondary" data-favorite-id="${escapeHtml(favorite.id)}">Remove</button>
+    </li>
+  `).join('') || '<li>No favorites yet</li>';
+}
+
+// Helper: Show an error under the preferences panel
+function showPreferencesError(message) {
+  preferencesError.textContent = message;
+  preferencesError.style.display = 'block';
+}
+
+// Helper: PUT a preferences change, then apply it and redraw the grid.
+// Returns false (with the error shown) when the server refused it.
+async function updatePreferences(changes) {
+  preferencesError.style.display = 'none';
+
+  try {
+    const response = await apiFetch('/api/preferences', { method: 'PUT', body: JSON.stringify(changes) });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to save preferences');
+
+    preferences = data.preferences;
+    slotMinutes = preferences.slotMinutes || serverSlotMinutes;
+    loadSchedule();
+    return true;
+  } catch (error) {
+    showPreferencesError(error.message);
+    return false;
+  }
+}
+
+// Save the view, rollover, slot size and studio settings from the panel
+async function handleSavePreferences(e) {
+  e.preventDefault();
+
+  const slotValue = document.getElementById('prefSlotMinutes').value;
+  await updatePreferences({
+    defaultView: document.getElementById('prefDefaultView').value,
+    rolloverHour: Number(document.getElementById('prefRolloverHour').value),
+    slotMinutes: slotValue ? Number(slotValue) : null,
+    studios: [...prefStudios.querySelectorAll('input:checked')].map(input => input.value)
+  });
+}
+
+// Add a favorite time slot from the panel's form
+async function handleAddFavorite(e) {
+  e.preventDefault();
+  if (!preferences) return;
+
+  const favorite = {
+    days: [...favoriteForm.querySelectorAll('.watch-days input:checked')].map(input => Number(input.value)),
+    startTime: document.getElementById('favoriteStart').value,
+    endTime: document.getElementById('favoriteEnd').value,
+    studio: favoriteStudio.value || null
+  };
+
+  if (await updatePreferences({ favoriteSlots: [...preferences.favoriteSlots, favorite] })) {
+    renderFavoriteList();
+  }
+}
+
+// Remove a favorite time slot
+async function handleFavoriteListClick(e) {
+  const favoriteId = e.target.dataset.favoriteId;
+  if (!favoriteId) return;
+
+  const remaining = preferences.favoriteSlots.filter(favorite => favorite.id !== favoriteId);
+  if (await updatePreferences({ favoriteSlots: remaining })) {
+    renderFavoriteList();
+  }
+}
+
+// Helper: The token of a /share/<token> page URL, or null on the normal app
+function readShareToken() {
+  const match = window.location.pathname.match(/^\/share\/([^/]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Open the read-only view of someone's share link: only the schedule and the
+// date controls, limited to the dates the link covers
+async function startSharedView() {
+  document.body.classList.add('shared-view');
+  loginContainer.style.display = 'none';
+  scheduleContainer.style.display = 'block';
+
+  try {
+    const response = await fetch(`/api/shared/${encodeURIComponent(shareToken)}`);
+    const info = await response.json();
+    if (!response.ok) throw new Error(info.error || 'Failed to open the share link');
+
+    studios = info.studios;
+    if (currentViewDate < info.from) currentViewDate = info.from;
+    if (currentViewDate > info.to) currentViewDate = info.to;
+
+    const shortFormat = { weekday: 'short', month: 'short', day: 'numeric' };
+    shareBanner.textContent = `${info.label}: a read-only view of the schedule from ` +
+      `${formatDateLabel(info.from, shortFormat)} to ${formatDateLabel(info.to, shortFormat)}. ` +
+      `This link expires ${formatGymTime(info.expiresAt, { month: 'short', day: 'numeric' })}.`;
+    shareBanner.style.display = 'block';
+
+    loadSchedule();
+  } catch (error) {
+    loadingIndicator.style.display = 'none';
+    scheduleGrid.innerHTML = `<div class="error-message">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+// Show or hide the share links panel
+async function toggleSharesPanel() {
+  const isHidden = sharesPanel.style.display === 'none';
+  sharesPanel.style.display = isHidden ? 'block' : 'none';
+  shareError.style.display = 'none';
+
+  if (isHidden) {
+    await loadShares();
+  }
+}
+
+// Load and render this session's active share links
+async function loadShares() {
+  const response = await apiFetch('/api/shares');
+  if (!response.ok) return;
+
+  const { shares } = await response.json();
+  const dateFormat = { month: 'short', day: 'numeric' };
+
+  shareList.innerHTML = shares.map(share => {
+    const lastUsed = share.lastUsedAt
+      ? `last used ${formatGymTime(share.lastUsedAt, { ...dateFormat, hour: 'numeric', minute: '2-digit' })}`
+      : 'never used';
+
+    return `
+    <li>
+      <span>${escapeHtml(share.label)} · next ${share.days} days · expires ${formatGymTime(share.expiresAt, dateFormat)} · ${lastUsed}</span>
+      <button class="btn-secondary" data-share-id="${escapeHtml(share.id)}">Revoke</button>
+      <input type="text" readonly value="${escapeHtml(share.url)}">
+    </li>
+  `;
+  }).join('') || '<li>No share links yet</li>';
+}
+
+// Create a share link from the panel's form
+async function handleCreateShare(e) {
+  e.preventDefault();
+  shareError.style.display = 'none';
+
+  const share = {
+    label: document.getElementById('shareLabel').value,
+    days: Number(document.getElementById('shareDays').value),
+    expiresInDays: Number(document.getElementById('shareExpiry').value)
+  };
+
+  try {
+    const response = await apiFetch('/api/shares', { method: 'POST', body: JSON.stringify(share) });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to create share link');
+
+    document.getElementById('shareLabel').value = '';
+    await loadShares();
+  } catch (error) {
+    shareError.textContent = error.message;
+    shareError.style.display = 'block';
+  }
+}
+
+// Revoke a share link
+async function handleShareListClick(e) {
+  const shareId = e.target.dataset.shareId;
+  if (!shareId) return;
+
+  await apiFetch(`/api/shares/${encodeURIComponent(shareId)}`, { method: 'DELETE' });
+  await loadShares();
+}
+
+// Offline support: the service worker (sw.js) caches the app shell and the
+// last response for each schedule URL; IndexedDB keeps the recent days one by
+// one, so a week can be pieced together from days saved by the day view and
+// the other way round.
+
+// Register the service worker; the app works without it, just not offline
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('/sw.js').catch(error => {
+    console.error('Service worker registration error:', error);
+  });
+}
+
+// Helper: Open the offline database (one 'days' store keyed by date + filters)
+function openOfflineDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('jcc-mashup', 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore('days', { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Helper: Run fn(store) in a transaction; resolves with the last request's result
+async function withDaysStore(mode, fn) {
+  const db = await openOfflineDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('days', mode);
+    const request = fn(transaction.objectStore('days'));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+// Helper: Store key for a day under the current filters
+function savedDayKey(date) {
+  return `${date}${filterQuery()}`;
+}
+
+// Save the days of a schedule response, then trim the store to the most
+// recently saved SAVED_DAYS_LIMIT days, dropping anything before yesterday
+async function saveScheduleDays(days, dates) {
+  if (!('indexedDB' in window)) return;
+
+  const savedAt = new Date().toISOString();
+  const oldestKept = addDaysToDate(gymToday(), -1);
+
+  try {
+    await withDaysStore('readwrite', store => {
+      days.forEach((day, index) => {
+        store.put({ key: savedDayKey(dates[index]), date: dates[index], day, savedAt });
+      });
+    });
+
+    const saved = await withDaysStore('readonly', store => store.getAll());
+    const expired = saved
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+      .filter((entry, index) => index >= SAVED_DAYS_LIMIT || entry.date < oldestKept);
+
+    if (expired.length > 0) {
+      await withDaysStore('readwrite', store => {
+        expired.forEach(entry => store.delete(entry.key));
+      });
+    }
+  } catch (error) {
+    console.error('Offline save error:', error);
+  }
+}
+
+// Read saved days back as a schedule response: { data, savedAt } with the
+// oldest savedAt among them, or null when none of the dates were saved.
+// Missing days of a week show as blank columns.
+async function readSavedSchedule(dates) {
+  if (!('indexedDB' in window)) return null;
+
+  try {
+    const entries = await Promise.all(
+      dates.map(date => withDaysStore('readonly', store => store.get(savedDayKey(date))))
+    );
+    const found = entries.filter(Boolean);
+    if (found.length === 0) return null;
+
+    const savedAt = found.map(entry => entry.savedAt).sort()[0];
+    const data = dates.length === 1
+      ? found[0].day
+      : { days: entries.map(entry => (entry ? entry.day : {})) };
+
+    return { data, savedAt };
+  } catch (error) {
+    console.error('Offline read error:', error);
+    return null;
+  }
+}
+
+// Forget everything saved for offline use (on logout: it is account data)
+async function clearOfflineData() {
+  clearTimeout(offlineRetryTimer);
+  offlineRetryTimer = null;
+
+  try {
+    if ('indexedDB' in window) {
+      await withDaysStore('readwrite', store => store.clear());
+    }
+    if ('caches' in window) {
+      const keys = await caches.keys();
+      await Promise.all(keys.filter(key => key.startsWith('api-')).map(key => caches.delete(key)));
+    }
+  } catch (error) {
+    console.error('Offline data clear error:', error);
   }
 }
@@ -0,0 +1,218 @@
+// Kiosk: a wall display for the studio doors. Shows, per studio, whether it
+// is free right now and until when, plus the next class and how full it is.
+//
+//   /kiosk?studio=Mind-Body Studio     uses this browser's login (log in once on
+//                                      the main page with "Stay signed in")
+//   /kiosk?share=<token>&studio=...    uses a share link instead, so the tablet
+//                                      never holds the login
+//
+// ?studio= takes one or more comma-separated names (default: every studio).
+// The status refreshes every minute. When a refresh fails (network, Daxko, an
+// expired session) the last status stays up and the display retries with
+// backoff; once the data is a few minutes old it is dimmed.
+
+// Constants
+const REFRESH_MS = 60 * 1000;
+const RETRY_MIN_MS = 15 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const TICK_MS = 15 * 1000; // Clock and countdown updates between refreshes
+
+// DOM Elements
+const kioskClock = document.getElementById('kioskClock');
+const kioskStudios = document.getElementById('kioskStudios');
+const kioskFooter = document.getElementById('kioskFooter');
+
+// State
+const params = new URLSearchParams(window.location.search);
+const studioParam = params.get('studio') || '';
+const shareToken = params.get('share');
+let gymTimeZone = 'America/Chicago'; // Replaced from /api/settings on startup
+let lastStatus = null; // Last good /api/now response
+let lastSuccessAt = null;
+let retryDelay = RETRY_MIN_MS;
+let refreshTimer = null;
+let problem = null; // Message for the last failed refresh, null when fine
+
+// Initialize
+init();
+
+async function init() {
+  await loadSettings();
+  keepScreenOn();
+  refresh();
+  setInterval(tick, TICK_MS);
+}
+
+// Load the gym's timezone; keeps the default if that fails
+async function loadSettings() {
+  try {
+    const response = await fetch('/api/settings');
+    if (response.ok) {
+      gymTimeZone = (await response.json()).timeZone || gymTimeZone;
+    }
+  } catch (error) {
+    console.error('Settings load error:', error);
+  }
+}
+
+// Ask the browser not to dim or lock the screen (where supported). The lock
+// is dropped whenever the page is hidden, so take it again on return.
+function keepScreenOn() {
+  if (!('wakeLock' in navigator)) return;
+
+  const requestLock = () => navigator.wakeLock.request('screen').catch(error => {
+    console.error('Wake lock error:', error);
+  });
+
+  requestLock();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') requestLock();
+  });
+}
+
+// Helper: The status endpoint for this display
+function statusUrl() {
+  const query = studioParam ? `?studio=${encodeURIComponent(studioParam)}` : '';
+  return shareToken ? `/api/shared/${encodeURIComponent(shareToken)}/now${query}` : `/api/now${query}`;
+}
+
+// Fetch the status, then schedule the next refresh: on the timer when it
+// worked, with doubling backoff when it didn't
+async function refresh() {
+  clearTimeout(refreshTimer);
+
+  try {
+    const sessionToken = localStorage.getItem('sessionToken');
+    const response = await fetch(statusUrl(), {
+      credentials: 'include',
+      headers: !shareToken && sessionToken ? { 'X-Session-Token': sessionToken } : {}
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(describeFailure(response.status, data.error));
+    }
+
+    lastStatus = data;
+    lastSuccessAt = Date.now();
+    problem = null;
+    retryDelay = RETRY_MIN_MS;
+    refreshTimer = setTimeout(refresh, REFRESH_MS);
+  } catch (error) {
+    console.error('Kiosk refresh error:', error);
+    problem = error instanceof TypeError ? 'No connection' : error.message;
+    refreshTimer = setTimeout(refresh, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+  }
+
+  render();
+}
+
+// Helper: What to tell whoever looks at the screen when a refresh fails
+function describeFailure(status, error) {
+  if (status === 401) {
+    return 'Not signed in: open the main page on this device and log in with "Stay signed in"';
+  }
+  if (status === 404 && shareToken) {
+    return 'This share link has expired or been revoked';
+  }
+  return error || `Server error (${status})`;
+}
+
+// Between refreshes: update the clock and countdowns, and refresh early once
+// a displayed "until" time has passed
+function tick() {
+  const now = Date.now();
+  const changed = lastStatus && lastStatus.studios.some(studio => studio.until && Date.parse(studio.until) <= now);
+
+  if (changed && !problem) {
+    refresh();
+  } else {
+    render();
+  }
+}
+
+// Helper: Format a moment as gym-local time, e.g. "9:45 AM"
+function formatTime(date) {
+  return new Date(date).toLocaleTimeString('en-US', { timeZone: gymTimeZone, hour: 'numeric', minute: '2-digit' });
+}
+
+// Helper: Time left until a moment, e.g. "25 min" or "2 h 10 min"
+function formatRemaining(until) {
+  const minutes = Math.max(Math.ceil((Date.parse(until) - Date.now()) / 60000), 0);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Helper: Escape text for HTML
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: "Pilates Mat at 9:00 AM · 12/15 booked" for the next class
+function describeNext(next) {
+  if (!next) return 'No more classes today';
+
+  const fullness = next.full
+    ? '<span class="kiosk-full">FULL</span>'
+    : (next.capacity !== null ? `${next.booked}/${next.capacity} booked` : '');
+  return `Next: ${escapeHtml(next.name)} at ${formatTime(next.start)}${fullness ? ` · ${fullness}` : ''}`;
+}
+
+// One studio's card
+function renderStudio(studio) {
+  let state;
+  let until;
+
+  if (studio.status === 'free') {
+    state = 'FREE';
+    until = `until ${formatTime(studio.until)} · ${formatRemaining(studio.until)}`;
+  } else if (studio.status === 'busy') {
+    state = 'IN USE';
+    until = `until ${formatTime(studio.until)} · ${formatRemaining(studio.until)}`;
+  } else {
+    state = 'CLOSED';
+    until = studio.until ? `opens at ${formatTime(studio.until)}` : 'for the rest of today';
+  }
+
+  const current = studio.current
+    ? `<div class="kiosk-current">Now: ${escapeHtml(studio.current.name)}` +
+      `${studio.current.instructor ? ` with ${escapeHtml(studio.current.instructor)}` : ''}</div>`
+    : '';
+
+  return `
+    <section class="kiosk-card kiosk-${studio.status}">
+      <h2>${escapeHtml(studio.studio)}</h2>
+      <div class="kiosk-state">${state}</div>
+      <div class="kiosk-until">${until}</div>
+      ${current}
+      <div class="kiosk-next">${describeNext(studio.next)}</div>
+    </section>
+  `;
+}
+
+// Draw the clock, the studio cards (the last good status) and the footer
+function render() {
+  kioskClock.textContent = formatTime(new Date());
+
+  if (lastStatus) {
+    kioskStudios.innerHTML = lastStatus.studios.map(renderStudio).join('');
+  } else if (problem) {
+    kioskStudios.innerHTML = `<p class="kiosk-message">${escapeHtml(problem)}</p>`;
+  }
+
+  const isOld = lastSuccessAt !== null && Date.now() - lastSuccessAt > STALE_AFTER_MS;
+  document.body.classList.toggle('kiosk-stale', isOld);
+  kioskFooter.classList.toggle('kiosk-problem', Boolean(problem));
+
+  const updated = lastSuccessAt ? `Updated ${formatTime(lastSuccessAt)}` : '';
+  const daxkoNote = lastStatus && lastStatus.stale ? ' · Daxko is not responding, showing the last known schedule' : '';
+  kioskFooter.textContent = problem
+    ? `${problem} · retrying automatically${updated ? ` · ${updated}` : ''}`
+    : `${updated}${daxkoNote}`;
+}
@@ -0,0 +1,135 @@
+// Service worker: keeps the app usable offline and shows Web Push
+// notifications sent by the slot watcher.
+//
+//   app shell      network first (so deploys show up right away), falling back
+//                  to the copy cached at install / on the last visit
+//   API data       network first; every good response is kept per URL (one per
+//                  date and filter combination), stamped with X-Cached-At, and
+//                  served when the network is down
+//
+// The page clears the api- caches on logout, since they hold account data.
+
+const SHELL_CACHE = 'shell-v1';
+const API_CACHE = 'api-v1';
+
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/app.js',
+  '/styles.css',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+// GET endpoints the page needs to draw a schedule without a network
+const CACHED_API_PATHS = [
+  '/api/settings', '/api/preferences', '/api/studios', '/api/filters', '/api/availability', '/api/schedule/range'
+];
+
+// Past this, a slow network loses to the cached shell (flaky gym wifi)
+const SHELL_NETWORK_TIMEOUT_MS = 4000;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions of this worker
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== SHELL_CACHE && key !== API_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (CACHED_API_PATHS.includes(url.pathname)) {
+    event.respondWith(apiNetworkFirst(request, url));
+  } else if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(shellNetworkFirst(request, url));
+  }
+});
+
+// Helper: Cache key for an API request: the URL without the cache-busting
+// fresh=1, so a forced refresh replaces the normal entry
+function apiCacheKey(url) {
+  const key = new URL(url);
+  key.searchParams.delete('fresh');
+  return key.toString();
+}
+
+// Helper: Fetch an API request; keep good responses, replay the last one offline
+async function apiNetworkFirst(request, url) {
+  const cache = await caches.open(API_CACHE);
+  const key = apiCacheKey(url);
+
+  try {
+    const response = await fetch(request);
+
+    if (response.status === 200) {
+      const headers = new Headers(response.headers);
+      headers.set('X-Cached-At', new Date().toISOString());
+      const body = await response.clone().blob();
+      await cache.put(key, new Response(body, { status: 200, statusText: response.statusText, headers }));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Helper: Fetch a shell file and refresh its cached copy; fall back to the
+// cache when offline or slow. Keyed by path, so /?studio=... shares '/'.
+async function shellNetworkFirst(request, url) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = url.pathname;
+  const cached = await cache.match(key);
+
+  const network = fetch(request).then(response => {
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  });
+
+  if (!cached) return network;
+
+  const timeout = new Promise(resolve => setTimeout(() => resolve(cached), SHELL_NETWORK_TIMEOUT_MS));
+  return Promise.race([network.catch(() => cached), timeout]);
+}
+
+self.addEventListener('push', event => {
+  const data = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Studio Availability', {
+      body: data.body || '',
+      tag: 'studio-availability'
+    })
+  );
+});
+
+// Focus an open tab (or open one) when a notification is clicked
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then(windows => {
+      const existing = windows.find(client => 'focus' in client);
+      return existing ? existing.focus() : self.clients.openWindow('/');
+    })
+  );
+});
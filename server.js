@@ -1,513 +1,1613 @@
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const cookieParser = require('cookie-parser');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { parseMSDate, computeAvailability, serializeAvailability } = require('./lib/availability');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { TtlCache, describeCacheEntry } = require('./lib/cache');
+const { buildCalendar } = require('./lib/ical');
+const { loadConfig } = require('./lib/config');
+const { SessionStore, generateToken, SESSION_MAX_AGE_MS } = require('./lib/sessions');
+const { todayDateString, isValidDate, addDays, listDates, dayOfWeek } = require('./lib/dates');
+const { createNotifiers, validateWebhookUrl, CHANNELS } = require('./lib/notifiers');
+const { SlotWatcher, normalizeRule } = require('./lib/watcher');
+const { logger, requestLogger } = require('./lib/logger');
+const { metrics, requestMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { isUpstreamUnavailable } = require('./lib/upstream');
+const { createDaxkoClient, isUpstreamAuthError } = require('./lib/daxko');
+const { normalizeClasses } = require('./lib/schedule');
+const { parseBranchHours, resolveDayHours, openingWindow, serializeHours } = require('./lib/hours');
+const { parseSearchQuery, findFreeWindows } = require('./lib/search');
+const { OccupancyHistory, OccupancyRecorder } = require('./lib/history');
+const { computeStats } = require('./lib/stats');
+const { corsOptions, originCheck, securityHeaders } = require('./lib/security');
+const { LoginThrottle } = require('./lib/throttle');
+const { PreferencesStore, normalizePreferences, accountKey } = require('./lib/preferences');
+const { computeNow } = require('./lib/now');
+const { normalizeShare, isShareExpired, shareDates, serializeShare, redactAvailability, MAX_SHARES } = require('./lib/shares');
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3000;
-const SESSION_FILE = path.join(__dirname, '.session.json');
+const SESSION_FILE = process.env.SESSION_FILE || path.join(__dirname, '.session.json');
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, '.occupancy.jsonl');
+const PREFERENCES_FILE = process.env.PREFERENCES_FILE || path.join(__dirname, '.preferences.json');
+
+// Daxko organization/location and tracked studios (config.json + env overrides)
+const config = loadConfig();
+
+// Every Daxko call goes through this client: login, schedule page, classes
+// and class actions, with timeouts, retries and a circuit breaker (see
+// lib/daxko.js and lib/upstream.js)
+const daxko = createDaxkoClient(config.daxko);
+
+// Studios tracked by the availability engine, opening hours (config fallback
+// for Daxko's branch hours, plus holidays) and the grid's slot size
+const TRACKED_STUDIOS = config.studios;
+const GYM_TIMEZONE = config.timezone; // Dates, "today" and opening hours are all gym-local
+const GYM_HOURS = config.hours;
+const SLOT_MINUTES = config.slotMinutes;
+
+// Date-range requests: longest span allowed and how many days to fetch at once
+const RANGE_MAX_DAYS = 14;
+const RANGE_CONCURRENCY = 3;
+
+// Upstream caches. Neither the schedule page mappings nor get_gxp_classes
+// carry anything user-specific (the request body uses fixed location and
+// exerciser IDs), so both are shared across sessions.
+const MAPPINGS_TTL_MS = Number(process.env.MAPPINGS_TTL_MS) || 6 * 60 * 60 * 1000; // 6 hours
+const CLASSES_TTL_MS = Number(process.env.CLASSES_TTL_MS) || 5 * 60 * 1000; // 5 minutes
+// Class lists are keyed by date and filters from the request, so cap them:
+// at most this many, each kept as an outage fallback for at most a day
+const CLASSES_CACHE_MAX_ENTRIES = Number(process.env.CLASSES_CACHE_MAX_ENTRIES) || 500;
+const CLASSES_MAX_STALE_MS = 24 * 60 * 60 * 1000;
+const mappingsCache = new TtlCache(MAPPINGS_TTL_MS);
+const classesCache = new TtlCache(CLASSES_TTL_MS, {
+  maxEntries: CLASSES_CACHE_MAX_ENTRIES,
+  maxStaleMs: CLASSES_MAX_STALE_MS
+});
 
-// In-memory session store (sessionToken -> cookies mapping)
-const sessionStore = new Map();
+// Readiness probes ping Daxko at most this often and reuse the result in between
+const READY_CHECK_TTL_MS = Number(process.env.READY_CHECK_TTL_MS) || 30 * 1000;
+const upstreamChecks = new TtlCache(READY_CHECK_TTL_MS);
 
-// Middleware
-app.use(cors({ credentials: true, origin: true }));
-app.use(cookieParser());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.static('public'));
+// iCalendar feed: default/maximum days covered and the shortest free window exported
+const ICAL_DAYS_AHEAD = Number(process.env.ICAL_DAYS_AHEAD) || 7;
+const ICAL_MAX_DAYS = 31;
+const ICAL_MIN_FREE_MINUTES = Number(process.env.ICAL_MIN_FREE_MINUTES) || 30;
 
-// Helper: Generate secure session token
-function generateSessionToken() {
-  return crypto.randomBytes(32).toString('hex');
-}
+// Slot watcher: how often watch rules are checked and how many each session may have
+const WATCH_POLL_INTERVAL_MS = Number(process.env.WATCH_POLL_INTERVAL_MS) || 10 * 60 * 1000; // 10 minutes
+const MAX_WATCH_RULES = 20;
 
-// Helper: Load session from in-memory store
-function loadSession(sessionToken) {
-  if (!sessionToken) return null;
+// Occupancy history: how often it is recorded, how many days ahead, and the
+// default look-back of /api/stats
+const HISTORY_INTERVAL_MS = Number(process.env.HISTORY_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+const HISTORY_DAYS_AHEAD = Number(process.env.HISTORY_DAYS_AHEAD) || 7;
+const STATS_DEFAULT_DAYS = 90;
 
-  const session = sessionStore.get(sessionToken);
-  if (!session) return null;
+// Proxies in front of the app (TRUST_PROXY: a hop count, or addresses/subnets
+// as Express takes them), so req.ip is the client for login throttling
+const TRUST_PROXY = process.env.TRUST_PROXY;
 
-  // Check if session is older than 6 months
-  const sessionAge = Date.now() - session.timestamp;
-  const maxAge = 6 * 30 * 24 * 60 * 60 * 1000; // 6 months (approximately)
+// Bearer token Prometheus must send for GET /metrics; without it the endpoint is off
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
 
-  if (sessionAge > maxAge) {
-    console.log('Session expired (older than 6 months)');
-    sessionStore.delete(sessionToken);
-    return null;
-  }
+// Failed logins per IP and per username, with lockout backoff (see lib/throttle.js)
+const loginThrottle = new LoginThrottle();
+
+// Session store (sessionToken -> Daxko cookies), persisted to disk and, with
+// SESSION_ENCRYPTION_KEY, encrypted there as a whole
+const sessionStore = new SessionStore({
+  file: SESSION_FILE,
+  secret: process.env.SESSION_ENCRYPTION_KEY
+});
+
+// Per-account preferences (Daxko login -> settings), shared across devices
+const preferencesStore = new PreferencesStore({ file: PREFERENCES_FILE });
+
+// Metrics for GET /metrics. Requests and Daxko calls are recorded by
+// lib/metrics.js and lib/upstream.js; these are the app's own.
+const loginResults = metrics.counter({
+  name: 'jcc_logins_total',
+  help: 'Logins through POST /api/login, by result (success, rejected, throttled, error)',
+  labelNames: ['result']
+});
 
-  return session;
+metrics.gauge({
+  name: 'jcc_active_sessions',
+  help: 'Sessions in the session store',
+  collect: () => sessionStore.size
+});
+
+metrics.gauge({
+  name: 'jcc_upstream_circuit_open',
+  help: '1 while the circuit breaker is failing calls fast, else 0',
+  labelNames: ['upstream'],
+  collect: () => [{ labels: { upstream: 'daxko' }, value: daxko.upstream.breaker.state === 'open' ? 1 : 0 }]
+});
+
+// Middleware
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 }
+app.disable('x-powered-by');
 
-// Helper: Save session to in-memory store
-function saveSession(sessionToken, cookies) {
-  sessionStore.set(sessionToken, {
-    cookies,
-    timestamp: Date.now()
+app.use(requestLogger);
+app.use(requestMetrics);
+app.use(securityHeaders);
+app.use(cors(corsOptions(config.corsOrigins)));
+app.use(cookieParser());
+app.use(originCheck(config.corsOrigins));
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(express.static('public'));
+
+// Load sessions and preferences on startup
+sessionStore.loadFromDisk();
+preferencesStore.loadFromDisk();
+
+// Save sessions to disk every 5 minutes, and purge expired ones (and lapsed
+// login throttle entries and class lists too old to serve) every hour
+setInterval(() => sessionStore.saveToDisk(), 5 * 60 * 1000);
+setInterval(() => sessionStore.purgeExpired(), 60 * 60 * 1000);
+setInterval(() => loginThrottle.purge(), 60 * 60 * 1000);
+setInterval(() => classesCache.purge(), 60 * 60 * 1000);
+
+// Flush sessions before exiting (docker stop / systemctl stop / Ctrl-C)
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    logger.info('server.stopping', { signal });
+    sessionStore.saveToDisk();
+    process.exit(0);
   });
-  console.log('Session saved successfully');
+});
+
+// Helper: Forget a session whose Daxko cookies no longer work. Other users'
+// sessions are left alone.
+function invalidateSession(sessionToken) {
+  if (sessionStore.delete(sessionToken)) {
+    logger.info('session.invalidated', { reason: 'upstream auth failure' });
+    sessionStore.saveToDisk();
+  }
 }
 
-// Helper: Load sessions from disk on startup
-function loadSessionsFromDisk() {
-  try {
-    if (fs.existsSync(SESSION_FILE)) {
-      const data = fs.readFileSync(SESSION_FILE, 'utf8');
-      const sessions = JSON.parse(data);
+// In-flight re-logins by session token, so concurrent requests share one
+const reauthentications = new Map();
+
+// Helper: Log a "stay signed in" session back in to Daxko with its stored
+// credentials and swap in the new cookies. Resolves to false when the session
+// has no usable credentials or Daxko no longer accepts them.
+function reauthenticate(sessionToken, session) {
+  if (!reauthentications.has(sessionToken)) {
+    const attempt = (async () => {
+      const credentials = sessionStore.getCredentials(session);
+      if (!credentials) return false;
+
+      const cookies = await daxko.login(credentials.username, credentials.password, { keepMeLoggedIn: true });
+      if (!cookies) {
+        // Password changed: stop trying, the user has to log in again
+        logger.info('session.reauth_rejected');
+        delete session.credentials;
+        return false;
+      }
 
-      // Load all sessions into memory
-      Object.entries(sessions).forEach(([token, session]) => {
-        sessionStore.set(token, session);
-      });
+      session.cookies = cookies;
+      session.account = session.account || accountKey(credentials.username);
+      sessionStore.saveToDisk();
+      logger.info('session.reauthenticated');
+      return true;
+    })().finally(() => reauthentications.delete(sessionToken));
 
-      console.log(`Loaded ${sessionStore.size} sessions from disk`);
-    }
-  } catch (error) {
-    console.error('Error loading sessions from disk:', error);
+    reauthentications.set(sessionToken, attempt);
   }
+
+  return reauthentications.get(sessionToken);
 }
 
-// Helper: Save sessions to disk periodically
-function saveSessionsToDisk() {
+// Helper: Run fn(cookies) with a session's Daxko cookies. When Daxko rejects
+// them (401 or a login redirect) and the session can re-login, do that and run
+// fn once more; otherwise the auth error reaches the caller as before.
+async function withDaxkoSession(sessionToken, session, fn) {
   try {
-    const sessions = {};
-    sessionStore.forEach((session, token) => {
-      sessions[token] = session;
-    });
-
-    fs.writeFileSync(SESSION_FILE, JSON.stringify(sessions, null, 2));
-    console.log('Sessions persisted to disk');
+    return await fn(session.cookies);
   } catch (error) {
-    console.error('Error saving sessions to disk:', error);
+    if (!isUpstreamAuthError(error) || !(await reauthenticate(sessionToken, session))) throw error;
+    return fn(session.cookies);
   }
 }
 
-// Load sessions on startup
-loadSessionsFromDisk();
+// Middleware: Require a valid session; sets req.sessionToken and req.session
+function requireSession(req, res, next) {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
+
+  if (!session || !session.cookies) {
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
+  }
 
-// Save sessions to disk every 5 minutes
-setInterval(saveSessionsToDisk, 5 * 60 * 1000);
+  req.sessionToken = sessionToken;
+  req.session = session;
+  next();
+}
 
-// Helper: Extract cookies from response headers
-function extractCookies(headers) {
-  const setCookieHeaders = headers['set-cookie'] || [];
-  const cookies = {};
+// Helper: Whether Daxko is reachable, from a ping at most every
+// READY_CHECK_TTL_MS. While the breaker is open, Daxko is not called at all.
+async function checkUpstream() {
+  if (daxko.upstream.breaker.state === 'open') {
+    return { ok: false, circuit: 'open', error: 'circuit open' };
+  }
 
-  setCookieHeaders.forEach(cookieStr => {
-    const match = cookieStr.match(/^([^=]+)=([^;]+)/);
-    if (match) {
-      cookies[match[1]] = match[2];
+  const { value, storedAt } = await upstreamChecks.getOrLoad('daxko', async () => {
+    try {
+      await daxko.ping();
+      return { ok: true };
+    } catch (error) {
+      logger.warn('ready.upstream_failed', { error });
+      return { ok: false, error: error.message };
     }
   });
 
-  return cookies;
+  return { ...value, circuit: daxko.upstream.breaker.state, checkedAt: new Date(storedAt).toISOString() };
 }
 
-// Helper: Build cookie string from object
-function buildCookieString(cookies) {
-  return Object.entries(cookies).map(([key, value]) => `${key}=${value}`).join('; ');
+// GET /healthz - Liveness: the process is up and answering requests
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// GET /readyz - Readiness: the session store loaded and Daxko is reachable;
+// 503 with the failing check otherwise
+app.get('/readyz', async (req, res) => {
+  const checks = {
+    sessions: { ok: sessionStore.loaded, count: sessionStore.size },
+    upstream: await checkUpstream()
+  };
+  const ready = Object.values(checks).every(check => check.ok);
+
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+});
+
+// Helper: Whether a request carries `Authorization: Bearer <METRICS_TOKEN>`.
+// Both sides are hashed first so the comparison is constant-time.
+function hasMetricsToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) return false;
+
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(METRICS_TOKEN));
 }
 
+// GET /metrics - Prometheus metrics (see lib/metrics.js), for holders of METRICS_TOKEN
+app.get('/metrics', (req, res) => {
+  if (!METRICS_TOKEN) {
+    return res.status(404).json({ error: 'Metrics are disabled. Set METRICS_TOKEN to enable them.' });
+  }
+  if (!hasMetricsToken(req)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return res.status(401).json({ error: 'Missing or invalid metrics token' });
+  }
+
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// GET /api/settings - Public settings the frontend needs before logging in
+app.get('/api/settings', (req, res) => {
+  res.json({ timeZone: GYM_TIMEZONE, slotMinutes: SLOT_MINUTES });
+});
+
 // GET /api/session - Check if session is valid
 app.get('/api/session', async (req, res) => {
   const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
 
-  console.log('\n=== SESSION CHECK ===');
-  console.log('Session token from header:', req.headers['x-session-token'] ? 'Present' : 'Missing');
-  console.log('Session token from cookie:', req.cookies?.sessionToken ? 'Present' : 'Missing');
-  console.log('Token being used:', sessionToken ? sessionToken.substring(0, 8) + '...' : 'None');
-
-  const session = loadSession(sessionToken);
+  const session = sessionStore.get(sessionToken);
 
   if (!session || !session.cookies) {
-    console.log('❌ SESSION INVALID:');
-    if (!sessionToken) {
-      console.log('  - No token provided');
-    } else if (!session) {
-      console.log('  - Token not found in session store');
-      console.log('  - Active sessions:', sessionStore.size);
-    } else if (!session.cookies) {
-      console.log('  - Session found but no cookies stored');
-    }
+    logger.debug('session.check', {
+      valid: false,
+      reason: !sessionToken ? 'no token' : (!session ? 'unknown token' : 'no cookies'),
+      activeSessions: sessionStore.size
+    });
     return res.status(401).json({ authenticated: false });
   }
 
   const sessionAge = Date.now() - session.timestamp;
-  const maxAge = 6 * 30 * 24 * 60 * 60 * 1000; // 6 months
-  const ageInHours = Math.floor(sessionAge / (1000 * 60 * 60));
-  const ageInDays = Math.floor(sessionAge / (1000 * 60 * 60 * 24));
-
-  console.log('✅ SESSION VALID:');
-  console.log('  - Age:', ageInHours, 'hours (', ageInDays, 'days )');
-  console.log('  - Max age:', Math.floor(maxAge / (1000 * 60 * 60 * 24)), 'days');
-  console.log('  - Time remaining:', Math.floor((maxAge - sessionAge) / (1000 * 60 * 60 * 24)), 'days');
+  logger.debug('session.check', {
+    valid: true,
+    source: req.headers['x-session-token'] ? 'header' : 'cookie',
+    ageDays: Math.floor(sessionAge / (1000 * 60 * 60 * 24)),
+    remainingDays: Math.floor((SESSION_MAX_AGE_MS - sessionAge) / (1000 * 60 * 60 * 24))
+  });
 
   res.json({
     authenticated: true,
     sessionAge: sessionAge,
-    timestamp: session.timestamp
+    timestamp: session.timestamp,
+    staySignedIn: Boolean(session.credentials)
   });
 });
 
+// Helper: 90 -> "2 minutes", 30 -> "30 seconds"
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
 // POST /api/login - Authenticate with Daxko
 app.post('/api/login', async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, staySignedIn } = req.body;
 
   if (!username || !password) {
     return res.status(400).json({ error: 'Username and password required' });
   }
 
+  const throttle = loginThrottle.check(req.ip, username);
+  if (!throttle.allowed) {
+    const retryAfter = Math.ceil(throttle.retryAfterMs / 1000);
+    logger.warn('login.throttled', { scope: throttle.scope, retryAfterSeconds: retryAfter });
+    loginResults.inc({ result: 'throttled' });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `Too many failed logins. Try again in ${formatWait(retryAfter)}.`, retryAfter });
+  }
+
   try {
-    console.log('Attempting login for:', username);
+    logger.info('login.started');
 
-    // Step 1: Build initial cookies (these are required by Daxko)
-    const now = Math.floor(Date.now() / 1000);
-    const initialCookies = {
-      '__utma': `1.${Math.floor(Math.random() * 1000000000)}.${now}.${now}.${now}.1`,
-      '__utmb': `1.3.10.${now}`,
-      '__utmc': '1',
-      '__utmz': `1.${now}.1.1.utmcsr=(direct)|utmccn=(direct)|utmcmd=(none)`,
-      '__utmt': '1',
-      '__oauth_admin': ''
-    };
+    let cookies;
+    try {
+      cookies = await daxko.login(username, password, { keepMeLoggedIn: Boolean(staySignedIn) });
+    } catch (error) {
+      // No verdict on the password: free the throttle slot without counting it
+      loginThrottle.release(req.ip, username);
+      throw error;
+    }
 
-    console.log('Generated tracking cookies');
+    if (cookies) {
+      loginThrottle.recordSuccess(req.ip, username);
 
-    // Step 2: GET find_account page to get __RequestVerificationToken cookie
-    // We need to follow redirects manually and collect cookies at each step
-    const findAccountUrl = 'https://operations.daxko.com/online/5198/Security/login.mvc/find_account?return_url=%2fonline%2f5198%2fRedirect%2fHomepage.mvc';
+      // Generate session token
+      const sessionToken = generateToken();
+      sessionStore.set(sessionToken, cookies, accountKey(username));
 
-    console.log('\n=== STEP 1: GET FIND_ACCOUNT PAGE (for token cookie) ===');
-    console.log('URL:', findAccountUrl);
-    console.log('Cookies:', buildCookieString(initialCookies));
+      // Stay signed in: keep the credentials (encrypted) to re-login when Daxko's cookie expires
+      const reauthEnabled = Boolean(staySignedIn) && sessionStore.setCredentials(sessionToken, { username, password });
+      if (staySignedIn && !reauthEnabled) {
+        logger.warn('login.credentials_not_stored', { hint: 'set SESSION_ENCRYPTION_KEY to re-login automatically' });
+      }
 
-    // Make multiple requests, following redirects manually and collecting cookies
-    let currentUrl = findAccountUrl;
-    let findAccountResponse;
+      logger.info('login.succeeded', { staySignedIn: reauthEnabled });
+      loginResults.inc({ result: 'success' });
 
-    for (let i = 0; i < 3; i++) {
-      console.log(`\nRedirect attempt ${i + 1}:`);
-      console.log('Requesting:', currentUrl);
+      // Set cookie with 6-month expiration
+      res.cookie('sessionToken', sessionToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        maxAge: SESSION_MAX_AGE_MS,
+        sameSite: 'lax'
+      });
 
-      try {
-        const response = await axios.get(currentUrl, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:147.0) Gecko/20100101 Firefox/147.0',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Cookie': buildCookieString(initialCookies)
-          },
-          maxRedirects: 0,
-          validateStatus: (status) => status >= 200 && status < 400
-        });
+      res.json({ success: true, message: 'Login successful', sessionToken, staySignedIn: reauthEnabled });
+    } else {
+      const lockoutMs = loginThrottle.recordFailure(req.ip, username);
+      logger.info('login.rejected', { reason: 'no auth cookie', lockoutSeconds: Math.ceil(lockoutMs / 1000) || undefined });
+      loginResults.inc({ result: 'rejected' });
+      res.status(401).json({ error: 'Login failed - invalid credentials' });
+    }
 
-        // If we get here, we got a 200 response
-        console.log('Got 200 response!');
-        findAccountResponse = response;
+  } catch (error) {
+    logger.error('login.failed', { error });
+    loginResults.inc({ result: 'error' });
+    res.status(500).json({ error: 'Login failed', details: error.message });
+  }
+});
 
-        // Extract cookies from successful response
-        const responseCookies = extractCookies(response.headers);
-        Object.assign(initialCookies, responseCookies);
-        console.log('Cookies received:', Object.keys(responseCookies));
-        break;
-      } catch (error) {
-        if (error.response && error.response.status === 302) {
-          console.log('Got 302 redirect');
-
-          // Extract cookies from this redirect
-          const redirectCookies = extractCookies(error.response.headers);
-          Object.assign(initialCookies, redirectCookies);
-          console.log('Cookies received:', Object.keys(redirectCookies));
-
-          // Get redirect location
-          const location = error.response.headers.location;
-          console.log('Redirect to:', location);
-
-          // If relative URL, make it absolute
-          if (location.startsWith('/')) {
-            currentUrl = 'https://operations.daxko.com' + location;
-          } else if (location.startsWith('http')) {
-            currentUrl = location;
-          } else {
-            currentUrl = findAccountUrl; // Same URL, try again with new cookies
-          }
-        } else {
-          throw error;
-        }
-      }
-    }
+// POST /api/logout - Forget this session and clear the cookie
+app.post('/api/logout', (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+
+  if (sessionToken && sessionStore.delete(sessionToken)) {
+    sessionStore.saveToDisk();
+    logger.info('session.logged_out');
+  }
+
+  res.clearCookie('sessionToken', {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax'
+  });
+  res.json({ success: true });
+});
+
+// GET /api/preferences - This account's preferences (defaults for anything unset)
+app.get('/api/preferences', requireSession, (req, res) => {
+  // Sessions from before preferences existed don't know their account
+  if (!req.session.account) {
+    return res.status(401).json({ error: 'Log in again to use preferences' });
+  }
 
-    console.log('\nFinal response status:', findAccountResponse.status);
-    console.log('All cookies now:', Object.keys(initialCookies));
+  res.json({ preferences: preferencesStore.get(req.session.account), studios: TRACKED_STUDIOS });
+});
+
+// PUT /api/preferences - Update this account's preferences; fields left out keep their value
+app.put('/api/preferences', requireSession, (req, res) => {
+  if (!req.session.account) {
+    return res.status(401).json({ error: 'Log in again to use preferences' });
+  }
+
+  const current = preferencesStore.get(req.session.account);
+  const { preferences, error } = normalizePreferences(req.body, current, { studios: TRACKED_STUDIOS });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  logger.info('preferences.updated', { fields: Object.keys(req.body) });
+  res.json({ preferences: preferencesStore.set(req.session.account, preferences) });
+});
 
-    // Step 3: Go to login page with username to get CSRF token for login form
-    const loginPageUrl = `https://operations.daxko.com/online/5198/Security/login.mvc/log_in?user_name=${encodeURIComponent(username)}&return_url=%2fonline%2f5198%2fRedirect%2fHomepage.mvc&oauth=`;
+// Schedule filters accepted as query parameters (comma-separated IDs) and the
+// get_gxp_classes filter each one fills in
+const FILTER_PARAMS = {
+  instructor: 'gxp_instructor_ids',
+  studio: 'gxp_studio_ids',
+  class_name: 'gxp_class_name_ids',
+  category: 'gxp_category_ids'
+};
+
+// Helper: Parse filter query parameters into get_gxp_classes filter arrays.
+// Returns null when no filter is set.
+function parseFilters(query) {
+  const filters = {};
+  let active = false;
+
+  Object.entries(FILTER_PARAMS).forEach(([param, field]) => {
+    const values = [].concat(query[param] || [])
+      .flatMap(value => String(value).split(','))
+      .map(value => Number(value.trim()))
+      .filter(Number.isInteger);
+
+    filters[field] = [...new Set(values)].sort((a, b) => a - b);
+    if (filters[field].length > 0) active = true;
+  });
 
-    console.log('\n=== STEP 2: GET LOGIN PAGE ===');
-    console.log('URL:', loginPageUrl);
-    console.log('Cookies:', buildCookieString(initialCookies));
+  return active ? filters : null;
+}
+
+// Helper: Schedule mappings through the shared cache
+async function getScheduleMappings(cookies, { fresh = false } = {}) {
+  const entry = await mappingsCache.getOrLoad('mappings', () => daxko.fetchScheduleMappings(cookies), {
+    fresh,
+    staleIf: isUpstreamUnavailable
+  });
+
+  if (!entry.value) {
+    throw new Error('Failed to fetch schedule mappings');
+  }
+
+  return entry;
+}
+
+// Helper: Class list for a date through the shared cache. Resolves to
+// { data, cache, stale } where cache reports hit/age for mappings and classes,
+// and stale is { since, age } when Daxko is down and the last good class list
+// was served instead (null otherwise).
+async function getGxpClasses(cookies, date, { fresh = false, freshMappings = fresh, filters = null } = {}) {
+  const mappingsEntry = await getScheduleMappings(cookies, { fresh: freshMappings });
+  const cacheKey = filters ? `${date}|${JSON.stringify(filters)}` : date;
+  const classesEntry = await classesCache.getOrLoad(
+    cacheKey,
+    () => daxko.fetchGxpClasses(cookies, date, mappingsEntry.value, filters),
+    { fresh, staleIf: isUpstreamUnavailable }
+  );
+
+  if (classesEntry.stale) {
+    logger.warn('schedule.stale', { date, storedAt: new Date(classesEntry.storedAt).toISOString() });
+  }
+
+  return {
+    data: classesEntry.value,
+    cache: {
+      mappings: describeCacheEntry(mappingsEntry),
+      classes: describeCacheEntry(classesEntry)
+    },
+    stale: classesEntry.stale
+      ? { since: new Date(classesEntry.storedAt).toISOString(), age: describeCacheEntry(classesEntry).age }
+      : null
+  };
+}
+
+// Helper: ?fresh=1 bypasses the upstream caches
+function isFreshRequest(req) {
+  return req.query.fresh === '1' || req.query.fresh === 'true';
+}
+
+// Helper: Identify a class across filtered and unfiltered lists
+function classKey(classObj) {
+  return `${classObj.start_date_time}|${classObj.area_name}|${classObj.name}`;
+}
 
-    const loginPageResponse = await axios.get(loginPageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:147.0) Gecko/20100101 Firefox/147.0',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Cookie': buildCookieString(initialCookies)
-      },
-      maxRedirects: 5
+// Helper: Availability for a date, honoring filters. Free windows always come
+// from the full class list (a filtered list would make studios look free);
+// filters only narrow the studios (studio filter) and flag which busy
+// intervals match (matchesFilters).
+async function getDayAvailability(cookies, date, { fresh = false, freshMappings = fresh, filters = null } = {}) {
+  const { data, cache, stale } = await getGxpClasses(cookies, date, { fresh, freshMappings });
+  const classes = data.gxp_classes || [];
+  const { value: mappings } = await getScheduleMappings(cookies);
+
+  if (!filters) {
+    return { classes, cache, stale, availability: buildDayAvailability(date, classes, mappings) };
+  }
+
+  const { data: filteredData, stale: filteredStale } = await getGxpClasses(cookies, date, {
+    fresh,
+    freshMappings: false,
+    filters
+  });
+  const filteredClasses = filteredData.gxp_classes || [];
+  const matching = new Set(filteredClasses.map(classKey));
+
+  const studios = filters.gxp_studio_ids.length > 0
+    ? mappings.areas
+      .filter(area => filters.gxp_studio_ids.includes(area.gxp_studio_id))
+      .map(area => area.area_name)
+    : TRACKED_STUDIOS;
+
+  const availability = buildDayAvailability(date, classes, mappings, studios);
+  availability.studios.forEach(studio => {
+    studio.busy.forEach(interval => {
+      interval.matchesFilters = matching.has(classKey(interval.class));
     });
+  });
+
+  return { classes: filteredClasses, cache, stale: stale || filteredStale, availability };
+}
+
+// GET /api/schedule - Fetch schedule for a given date
+app.get('/api/schedule', async (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+
+  const session = sessionStore.get(sessionToken);
 
-    console.log('Response status:', loginPageResponse.status);
-
-    // Extract cookies from login page
-    const loginPageCookies = extractCookies(loginPageResponse.headers);
-    Object.assign(initialCookies, loginPageCookies);
-    console.log('Cookies after login page:', Object.keys(loginPageCookies));
-    console.log('All cookies now:', Object.keys(initialCookies));
-
-    // Extract CSRF token from login page
-    let csrfToken = '';
-    if (loginPageResponse.data) {
-      const html = loginPageResponse.data;
-      const csrfMatch = html.match(/name="__RequestVerificationToken"[^>]+value="([^"]+)"/);
-      csrfToken = csrfMatch ? csrfMatch[1] : '';
-      console.log('CSRF token for login extracted:', csrfToken ? 'Yes' : 'No');
+  if (!session || !session.cookies) {
+    logger.debug('schedule.denied', {
+      reason: !sessionToken ? 'no token' : (!session ? 'unknown token' : 'no cookies'),
+      activeSessions: sessionStore.size
+    });
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
+  }
+
+  // Get date from query parameter or use today
+  const date = req.query.date || todayDateString(GYM_TIMEZONE); // YYYY-MM-DD
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  }
+
+  try {
+    const { data, cache, stale } = await withDaxkoSession(sessionToken, session, cookies => getGxpClasses(cookies, date, {
+      fresh: isFreshRequest(req),
+      filters: parseFilters(req.query)
+    }));
+
+    res.json({ ...data, cache, stale });
+
+  } catch (error) {
+    logger.error('schedule.failed', { error });
+
+    // If unauthorized, drop only this session
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for this date', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch schedule', details: error.message });
     }
+  }
+});
+
+// GET /api/v2/schedule - Classes for a date in the stable v2 model (openapi.json)
+app.get('/api/v2/schedule', requireSession, async (req, res) => {
+  const date = req.query.date || todayDateString(GYM_TIMEZONE); // YYYY-MM-DD
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  }
 
-    // Step 2: Submit login form
-    const loginData = new URLSearchParams({
-      '__RequestVerificationToken': csrfToken,
-      'user_name': username,
-      'password': password,
-      'keep_me_logged_in': 'false',
-      'return_url': '/online/5198/Redirect/Homepage.mvc',
-      'barcode': '',
-      'oauth': ''
+  try {
+    const { data, stale, mappings } = await withDaxkoSession(req.sessionToken, req.session, async cookies => {
+      const result = await getGxpClasses(cookies, date, {
+        fresh: isFreshRequest(req),
+        filters: parseFilters(req.query)
+      });
+      const { value } = await getScheduleMappings(cookies);
+      return { ...result, mappings: value };
     });
 
-    console.log('\n=== STEP 3: POST LOGIN ===');
-    console.log('URL:', 'https://operations.daxko.com/online/5198/Security/login.mvc/log_in');
-    console.log('Cookies being sent:', buildCookieString(initialCookies));
-    console.log('CSRF token:', csrfToken);
-    console.log('POST data (without password):', loginData.toString().replace(/password=[^&]*/, 'password=***'));
+    res.json({
+      date,
+      stale,
+      classes: normalizeClasses(data.gxp_classes, mappings, GYM_TIMEZONE)
+    });
 
-    let loginResponse;
-    try {
-      loginResponse = await axios.post(
-        'https://operations.daxko.com/online/5198/Security/login.mvc/log_in',
-        loginData.toString(),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-            'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:147.0) Gecko/20100101 Firefox/147.0',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Cookie': buildCookieString(initialCookies),
-            'Referer': loginPageUrl
-          },
-          maxRedirects: 0,
-          validateStatus: (status) => status >= 200 && status < 400
-        }
-      );
-    } catch (error) {
-      // If it's a redirect error, that's actually OK - we just need the cookies
-      if (error.response && error.response.status === 302) {
-        console.log('Got 302 redirect (expected)');
-        loginResponse = error.response;
-      } else {
-        console.log('Login POST error:', error.message);
-        if (error.response) {
-          console.log('Response status:', error.response.status);
-          console.log('Response headers:', error.response.headers);
-        }
-        throw error;
-      }
+  } catch (error) {
+    logger.error('schedule_v2.failed', { error });
+
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(req.sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for this date', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch schedule', details: error.message });
     }
+  }
+});
 
-    // Extract auth cookie from login response
-    console.log('Login response status:', loginResponse.status);
-    const authCookies = extractCookies(loginResponse.headers);
-    console.log('Auth cookies received:', Object.keys(authCookies));
-    console.log('All response headers:', loginResponse.headers);
+// GET /api/v2/openapi.json - OpenAPI description of the v2 API
+app.get('/api/v2/openapi.json', (req, res) => {
+  res.sendFile(path.join(__dirname, 'openapi.json'));
+});
 
-    // Combine all cookies
-    const allCookies = { ...initialCookies, ...authCookies };
+// Helper: Opening hours for a YYYY-MM-DD date: holidays, then the branch
+// hours from the schedule page mappings, then config (see lib/hours.js)
+function getDayHours(date, mappings) {
+  return resolveDayHours(date, {
+    hoursConfig: GYM_HOURS,
+    branchHours: parseBranchHours(mappings && mappings.branches, config.daxko.locationId)
+  });
+}
 
-    // Check if we got the auth cookie
-    if (allCookies['.online_auth']) {
-      // Generate session token
-      const sessionToken = generateSessionToken();
-      saveSession(sessionToken, allCookies);
+// Helper: Opening window (epoch ms) for a YYYY-MM-DD date, or null when closed
+function getDayWindow(date, mappings) {
+  return openingWindow(date, getDayHours(date, mappings), GYM_TIMEZONE);
+}
 
-      console.log('Login successful!');
+// Helper: Availability for one day's classes, serialized for API responses.
+// On a closed day every studio comes back with no busy or free intervals.
+function buildDayAvailability(date, classes, mappings, studios = TRACKED_STUDIOS) {
+  const hours = getDayHours(date, mappings);
+  const dayWindow = getDayWindow(date, mappings);
+
+  const availability = dayWindow
+    ? computeAvailability(classes, { studios, ...dayWindow })
+    : studios.map(studio => ({ studio, busy: [], free: [] }));
+
+  return {
+    date,
+    hours: serializeHours(hours),
+    window: dayWindow && {
+      start: new Date(dayWindow.windowStart).toISOString(),
+      end: new Date(dayWindow.windowEnd).toISOString()
+    },
+    studios: serializeAvailability(availability)
+  };
+}
 
-      // Set cookie with 6-month expiration
-      const sixMonths = 6 * 30 * 24 * 60 * 60 * 1000;
-      res.cookie('sessionToken', sessionToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: sixMonths,
-        sameSite: 'lax'
-      });
+// GET /api/availability - Busy intervals and free windows per studio for a date
+app.get('/api/availability', async (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
 
-      res.json({ success: true, message: 'Login successful', sessionToken });
+  if (!session || !session.cookies) {
+    logger.debug('availability.denied', { reason: 'invalid session' });
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
+  }
+
+  const date = req.query.date || todayDateString(GYM_TIMEZONE); // YYYY-MM-DD
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  }
+
+  try {
+    const { availability, cache, stale } = await withDaxkoSession(sessionToken, session, cookies => getDayAvailability(cookies, date, {
+      fresh: isFreshRequest(req),
+      filters: parseFilters(req.query)
+    }));
+
+    res.json({ ...availability, cache, stale });
+
+  } catch (error) {
+    logger.error('availability.failed', { error });
+
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for this date', details: error.message });
     } else {
-      console.log('Login failed - no auth cookie received');
-      res.status(401).json({ error: 'Login failed - invalid credentials' });
+      res.status(500).json({ error: 'Failed to fetch availability', details: error.message });
     }
+  }
+});
+
+// GET /api/schedule/range - Fetch every day from `from` to `to` and merge them
+app.get('/api/schedule/range', async (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
+
+  if (!session || !session.cookies) {
+    logger.debug('range.denied', { reason: 'invalid session' });
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
+  }
+
+  const { from, to } = req.query;
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+  }
+
+  const dates = listDates(from, to);
+  if (dates.length === 0) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  if (dates.length > RANGE_MAX_DAYS) {
+    return res.status(400).json({ error: `Range cannot exceed ${RANGE_MAX_DAYS} days` });
+  }
+
+  try {
+    // Mappings are the same for every day, so resolve them once up front
+    const fresh = isFreshRequest(req);
+    const filters = parseFilters(req.query);
+    logger.debug('range.fetching', { from, to, days: dates.length });
+    const results = await withDaxkoSession(sessionToken, session, async cookies => {
+      await getScheduleMappings(cookies, { fresh });
+
+      return mapWithConcurrency(dates, RANGE_CONCURRENCY, date =>
+        getDayAvailability(cookies, date, { fresh, freshMappings: false, filters })
+      );
+    });
+
+    res.json({
+      from,
+      to,
+      gxp_classes: results.flatMap(result => result.classes),
+      days: results.map(result => ({ ...result.availability, cache: result.cache, stale: result.stale }))
+    });
 
   } catch (error) {
-    console.error('Login error:', error.message);
-    res.status(500).json({ error: 'Login failed', details: error.message });
+    logger.error('range.failed', { error });
+
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for these dates', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch schedule range', details: error.message });
+    }
   }
 });
 
-// Helper: Fetch and parse class schedule page for mappings
-async function fetchScheduleMappings(cookies) {
+// GET /api/search/free-windows - Ranked free windows across the coming days
+// (query parameters: see lib/search.js)
+app.get('/api/search/free-windows', requireSession, async (req, res) => {
+  const { search, error } = parseSearchQuery(req.query, { studios: TRACKED_STUDIOS });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const today = todayDateString(GYM_TIMEZONE);
+  const dates = listDates(today, addDays(today, search.horizonDays - 1))
+    .filter(date => search.days.includes(dayOfWeek(date)));
+
   try {
-    console.log('\n=== FETCHING SCHEDULE PAGE FOR MAPPINGS ===');
-    const response = await axios.get('https://operations.daxko.com/Online/5198/GXP/ClassSchedule.mvc', {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:147.0) Gecko/20100101 Firefox/147.0',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Cookie': buildCookieString(cookies)
-      }
+    const days = await withDaxkoSession(req.sessionToken, req.session, async cookies => {
+      const { value: mappings } = await getScheduleMappings(cookies);
+
+      return mapWithConcurrency(dates, RANGE_CONCURRENCY, async date => {
+        const { data, stale } = await getGxpClasses(cookies, date);
+        return { date, classes: data.gxp_classes || [], window: getDayWindow(date, mappings), stale };
+      });
     });
 
-    const html = response.data;
+    res.json({
+      search,
+      results: findFreeWindows(days, search, { timeZone: GYM_TIMEZONE }),
+      stale: days.map(day => day.stale).find(Boolean) || null
+    });
 
-    // Extract the props object from the script tag
-    const propsMatch = html.match(/var props = ({[\s\S]*?});[\s\S]*?props\.controller_url/);
+  } catch (error) {
+    logger.error('search.failed', { error });
 
-    if (!propsMatch) {
-      console.error('Could not find props object in HTML');
-      return null;
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(req.sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for these dates', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to search free windows', details: error.message });
     }
+  }
+});
 
-    const propsJson = propsMatch[1];
-    const props = JSON.parse(propsJson);
+// GET /api/search/free-windows.ics - One search result as an .ics event for
+// "Add to Calendar" (?studio=&start=&end=, start/end as ISO timestamps)
+app.get('/api/search/free-windows.ics', requireSession, (req, res) => {
+  const { studio } = req.query;
+  const start = Date.parse(req.query.start);
+  const end = Date.parse(req.query.end);
 
-    console.log('Extracted mappings:');
-    console.log('- Instructors:', props.instructors.length);
-    console.log('- Areas:', props.areas.length);
-    console.log('- Branches:', props.branches.length);
+  if (!TRACKED_STUDIOS.includes(studio)) {
+    return res.status(400).json({ error: `studio must be one of: ${TRACKED_STUDIOS.join(', ')}` });
+  }
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    return res.status(400).json({ error: 'start and end must be ISO timestamps with start before end' });
+  }
+
+  res.type('text/calendar; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="studio-time.ics"');
+  res.send(buildCalendar({
+    name: 'JCC Studio Time',
+    events: [{
+      uid: `free-${start}-${studio.replace(/\s+/g, '-')}@jcc-mashup`,
+      start,
+      end,
+      summary: `Studio time: ${studio}`,
+      location: studio
+    }]
+  }));
+});
+
+// Helper: Display name for an instructor from the schedule page mappings
+function instructorName(instructor) {
+  return instructor.admin_name || `${instructor.first_name || ''} ${instructor.last_name || ''}`.trim();
+}
+
+// GET /api/filters - Instructors, studios, categories and class names to filter by
+app.get('/api/filters', requireSession, async (req, res) => {
+  try {
+    const { value: mappings } = await withDaxkoSession(req.sessionToken, req.session, cookies =>
+      getScheduleMappings(cookies, { fresh: isFreshRequest(req) })
+    );
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    res.json({
+      instructors: mappings.instructors
+        .map(instructor => ({ id: instructor.gxp_instructor_id, name: instructorName(instructor) }))
+        .sort(byName),
+      studios: mappings.areas
+        .map(area => ({ id: area.gxp_studio_id, name: area.area_name }))
+        .sort(byName),
+      categories: mappings.categories
+        .map(category => ({ id: category.gxp_category_id, name: category.category_name || category.name }))
+        .sort(byName),
+      classNames: mappings.class_names
+        .map(className => ({ id: className.gxp_class_name_id, name: className.class_name || className.name }))
+        .sort(byName)
+    });
 
-    return {
-      instructors: props.instructors,
-      areas: props.areas,
-      branches: props.branches,
-      gxp_account_id: props.gxp_account_id
-    };
   } catch (error) {
-    console.error('Error fetching schedule mappings:', error.message);
-    return null;
+    logger.error('filters.failed', { error });
+
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(req.sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there are no cached filters', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch filters', details: error.message });
+    }
+  }
+});
+
+// GET /api/studios - Tracked studios, matched against the areas Daxko knows about
+app.get('/api/studios', async (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
+
+  if (!session || !session.cookies) {
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
   }
+
+  try {
+    const { value: mappings } = await withDaxkoSession(sessionToken, session, cookies =>
+      getScheduleMappings(cookies, { fresh: isFreshRequest(req) })
+    );
+
+    const studios = TRACKED_STUDIOS.map(name => {
+      const area = mappings.areas.find(entry => entry.area_name === name);
+      if (!area) {
+        logger.warn('studios.not_found', { studio: name });
+      }
+
+      return {
+        name,
+        gxp_studio_id: area ? area.gxp_studio_id : null,
+        area_id: area ? area.area_id : null
+      };
+    });
+
+    res.json({
+      studios,
+      areas: mappings.areas.map(area => area.area_name)
+    });
+
+  } catch (error) {
+    logger.error('studios.failed', { error });
+
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(sessionToken);
+      res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there are no cached studios', details: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to fetch studios', details: error.message });
+    }
+  }
+});
+
+// Helper: Stable iCalendar UID built from the parts that identify an event
+function makeEventUid(...parts) {
+  const hash = crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+  return `${hash.substring(0, 20)}@jcc-mashup`;
 }
 
-// GET /api/schedule - Fetch schedule for a given date
-app.get('/api/schedule', async (req, res) => {
+// Helper: Public URL of a calendar feed
+function buildFeedUrl(req, feedToken) {
+  return `${req.protocol}://${req.get('host')}/ical/${feedToken}.ics`;
+}
+
+// GET /api/ical/feed - Show the current calendar feed URL, if any
+app.get('/api/ical/feed', (req, res) => {
   const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
+
+  if (!session || !session.cookies) {
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
+  }
 
-  console.log('\n=== SCHEDULE REQUEST ===');
-  console.log('Session token from header:', req.headers['x-session-token'] ? 'Present' : 'Missing');
-  console.log('Session token from cookie:', req.cookies?.sessionToken ? 'Present' : 'Missing');
+  if (!session.feedToken) {
+    return res.json({ enabled: false });
+  }
+
+  res.json({ enabled: true, url: buildFeedUrl(req, session.feedToken) });
+});
 
-  const session = loadSession(sessionToken);
+// POST /api/ical/feed - Create (or rotate) the calendar feed token
+app.post('/api/ical/feed', (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
 
   if (!session || !session.cookies) {
-    console.log('❌ SCHEDULE REQUEST DENIED - Session invalid');
-    if (!sessionToken) {
-      console.log('  - No token provided');
-    } else if (!session) {
-      console.log('  - Token not found in session store');
-      console.log('  - Token:', sessionToken.substring(0, 8) + '...');
-      console.log('  - Active sessions:', sessionStore.size);
-    } else if (!session.cookies) {
-      console.log('  - Session found but no cookies stored');
-    }
     return res.status(401).json({ error: 'Not authenticated. Please log in.' });
   }
 
-  console.log('✅ SCHEDULE REQUEST AUTHORIZED');
+  // Separate from the session token, so a calendar app never holds the login
+  session.feedToken = generateToken();
+  sessionStore.saveToDisk();
+
+  logger.info('ical.feed_created');
+  res.json({ enabled: true, url: buildFeedUrl(req, session.feedToken) });
+});
+
+// DELETE /api/ical/feed - Revoke the calendar feed token
+app.delete('/api/ical/feed', (req, res) => {
+  const sessionToken = req.headers['x-session-token'] || req.cookies?.sessionToken;
+  const session = sessionStore.get(sessionToken);
+
+  if (!session || !session.cookies) {
+    return res.status(401).json({ error: 'Not authenticated. Please log in.' });
+  }
+
+  delete session.feedToken;
+  sessionStore.saveToDisk();
+
+  logger.info('ical.feed_revoked');
+  res.json({ enabled: false });
+});
+
+// GET /ical/:feedToken.ics - iCalendar feed of classes and (with ?free=1) free windows.
+// ?days=N covers N days starting today.
+app.get('/ical/:feedToken.ics', async (req, res) => {
+  const sessionToken = sessionStore.findTokenByFeedToken(req.params.feedToken);
+  const session = sessionStore.get(sessionToken);
+
+  if (!session || !session.cookies) {
+    return res.status(404).type('text/plain').send('Calendar feed not found');
+  }
+
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || ICAL_DAYS_AHEAD, 1), ICAL_MAX_DAYS);
+  const includeFree = req.query.free === '1' || req.query.free === 'true';
+  const today = todayDateString(GYM_TIMEZONE);
+  const dates = listDates(today, addDays(today, days - 1));
 
   try {
-    // Get date from query parameter or use today
-    const date = req.query.date || new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const { mappings, results } = await withDaxkoSession(sessionToken, session, async cookies => {
+      const { value } = await getScheduleMappings(cookies);
+      const days = await mapWithConcurrency(dates, RANGE_CONCURRENCY, async date => {
+        const { data } = await getGxpClasses(cookies, date);
+        return { date, classes: data.gxp_classes || [] };
+      });
+      return { mappings: value, results: days };
+    });
+
+    const events = [];
+    results.forEach(({ date, classes }) => {
+      // Booked classes in the tracked studios
+      classes
+        .filter(classObj => TRACKED_STUDIOS.includes(classObj.area_name))
+        .forEach(classObj => {
+          const start = parseMSDate(classObj.start_date_time);
+          const end = parseMSDate(classObj.end_date_time);
+          if (start === null || end === null) return;
+
+          events.push({
+            uid: makeEventUid('class', classObj.area_name, start, classObj.name),
+            start,
+            end,
+            summary: `${classObj.name} (${classObj.area_name})`,
+            description: `Instructor: ${classObj.instructor_name}\nBooked: ${classObj.booked}/${classObj.capacity}`,
+            location: classObj.area_name
+          });
+        });
+
+      // Free windows, marked transparent so they don't show as busy
+      const dayWindow = includeFree && getDayWindow(date, mappings);
+      if (dayWindow) {
+        computeAvailability(classes, { studios: TRACKED_STUDIOS, ...dayWindow })
+          .forEach(({ studio, free }) => {
+            free
+              .filter(window => window.end - window.start >= ICAL_MIN_FREE_MINUTES * 60 * 1000)
+              .forEach(window => {
+                events.push({
+                  uid: makeEventUid('free', studio, window.start, window.end),
+                  start: window.start,
+                  end: window.end,
+                  summary: `Free: ${studio}`,
+                  location: studio,
+                  transparent: true
+                });
+              });
+          });
+      }
+    });
 
-    // Fetch the mappings from the schedule page
-    const mappings = await fetchScheduleMappings(session.cookies);
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="studio-availability.ics"');
+    res.send(buildCalendar({ name: 'JCC Studio Availability', events }));
 
-    if (!mappings) {
-      return res.status(500).json({ error: 'Failed to fetch schedule mappings' });
+  } catch (error) {
+    logger.error('ical.failed', { error });
+
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(sessionToken);
+      res.status(401).type('text/plain').send('Session expired. Please log in again.');
+    } else {
+      res.status(502).type('text/plain').send('Failed to fetch schedule');
     }
+  }
+});
 
-    // Build the mapped arrays
-    const allMappedAreas = mappings.areas.map(area => ({
-      gxp_studio_id: area.gxp_studio_id,
-      area_id: area.area_id,
-      area_name: area.area_name
-    }));
+// Helper: Studios named in ?studio= (comma-separated, case-insensitive), or
+// every tracked studio. Returns { studios } or { error }.
+function parseStudioParam(value) {
+  if (!value) return { studios: TRACKED_STUDIOS };
 
-    const allMappedInstructor = mappings.instructors.map(instructor => ({
-      gxp_instructor_id: instructor.gxp_instructor_id,
-      admin_id: instructor.admin_id,
-      first_name: instructor.first_name,
-      last_name: instructor.last_name,
-      admin_name: instructor.admin_name
-    }));
+  const studios = [];
+  for (const name of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const studio = TRACKED_STUDIOS.find(tracked => tracked.toLowerCase() === name.toLowerCase());
+    if (!studio) {
+      return { error: `studio must be one of: ${TRACKED_STUDIOS.join(', ')}` };
+    }
+    studios.push(studio);
+  }
+  return { studios };
+}
 
-    const requestBody = {
-      "all_mapped_areas": allMappedAreas,
-      "all_mapped_instructor": allMappedInstructor,
-      "all_mapped_branches": mappings.branches,
-      "filters": {
-        "date": date,
-        "gxp_location_id": 6469,
-        "gxp_instructor_ids": [],
-        "gxp_studio_ids": [],
-        "gxp_class_name_ids": [],
-        "gxp_category_ids": []
-      },
-      "gxp_account_id": mappings.gxp_account_id,
-      "any_exerciser_id_of_unit": 6093357,
-      "page": 1
-    };
-
-    const response = await axios.post(
-      'https://operations.daxko.com/online/5198/GXP/ClassSchedule.mvc/get_gxp_classes',
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json;charset=utf-8',
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10.15; rv:147.0) Gecko/20100101 Firefox/147.0',
-          'Cookie': buildCookieString(session.cookies),
-          'Accept': 'application/json, text/plain, */*'
-        }
-      }
-    );
+// Helper: The /api/now response for a session: today's status per studio
+async function getNowStatus(sessionToken, session, studios) {
+  const date = todayDateString(GYM_TIMEZONE);
+  const { availability, stale } = await withDaxkoSession(sessionToken, session, cookies =>
+    getDayAvailability(cookies, date)
+  );
+
+  return {
+    now: new Date().toISOString(),
+    date,
+    hours: availability.hours,
+    stale,
+    studios: computeNow(availability, studios)
+  };
+}
+
+// GET /kiosk - Wall display for the studio doors (?studio=, ?share=; see public/kiosk.js)
+app.get('/kiosk', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'kiosk.html'));
+});
 
-    res.json(response.data);
+// GET /api/now?studio=Name,Name - Free/busy right now, until when, and the next class
+app.get('/api/now', requireSession, async (req, res) => {
+  const { studios, error } = parseStudioParam(req.query.studio);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
+  try {
+    res.json(await getNowStatus(req.sessionToken, req.session, studios));
   } catch (error) {
-    console.error('Schedule fetch error:', error.message);
+    logger.error('now.failed', { error });
 
-    // If unauthorized, clear session
-    if (error.response && error.response.status === 401) {
-      if (fs.existsSync(SESSION_FILE)) {
-        fs.unlinkSync(SESSION_FILE);
-      }
+    if (isUpstreamAuthError(error)) {
+      invalidateSession(req.sessionToken);
       res.status(401).json({ error: 'Session expired. Please log in again.' });
+    } else if (isUpstreamUnavailable(error)) {
+      res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for today', details: error.message });
     } else {
-      res.status(500).json({ error: 'Failed to fetch schedule', details: error.message });
+      res.status(500).json({ error: 'Failed to fetch studio status', details: error.message });
+    }
+  }
+});
+
+// Helper: Public URL of a share link
+function buildShareUrl(req, shareToken) {
+  return `${req.protocol}://${req.get('host')}/share/${shareToken}`;
+}
+
+// Helper: This session's shares that have not expired (expired ones are dropped)
+function activeShares(session) {
+  const shares = (session.shares || []).filter(share => !isShareExpired(share));
+  if (shares.length !== (session.shares || []).length) session.shares = shares;
+  return shares;
+}
+
+// GET /api/shares - This session's active share links, with when each was last used
+app.get('/api/shares', requireSession, (req, res) => {
+  res.json({ shares: activeShares(req.session).map(share => serializeShare(share, buildShareUrl(req, share.token))) });
+});
+
+// POST /api/shares - Create a read-only share link (body: { label, days, expiresInDays })
+app.post('/api/shares', requireSession, (req, res) => {
+  const shares = activeShares(req.session);
+  if (shares.length >= MAX_SHARES) {
+    return res.status(400).json({ error: `You can have at most ${MAX_SHARES} share links` });
+  }
+
+  const { share, error } = normalizeShare(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // A token of its own, so whoever holds the link never holds the login
+  req.session.shares = [...shares, share];
+  sessionStore.saveToDisk();
+
+  logger.info('share.created', { days: share.days, expiresAt: share.expiresAt });
+  res.status(201).json({ share: serializeShare(share, buildShareUrl(req, share.token)) });
+});
+
+// DELETE /api/shares/:id - Revoke a share link
+app.delete('/api/shares/:id', requireSession, (req, res) => {
+  const shares = req.session.shares || [];
+  const remaining = shares.filter(share => share.id !== req.params.id);
+
+  if (remaining.length === shares.length) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+
+  req.session.shares = remaining;
+  sessionStore.saveToDisk();
+
+  logger.info('share.revoked');
+  res.json({ success: true });
+});
+
+// Middleware: Resolve a share token to its share and the owner's session; sets
+// req.share, req.ownerToken and req.ownerSession. Unknown, revoked and expired
+// links all look the same.
+function requireShare(req, res, next) {
+  const found = sessionStore.findShare(req.params.shareToken);
+
+  if (!found || isShareExpired(found.share) || !found.session.cookies) {
+    return res.status(404).json({ error: 'This share link is invalid, expired or revoked' });
+  }
+
+  // Kept in memory; written out with the next periodic session save
+  found.share.lastUsedAt = new Date().toISOString();
+
+  req.share = found.share;
+  req.ownerToken = found.sessionToken;
+  req.ownerSession = found.session;
+  next();
+}
+
+// Helper: Error response for a failed shared read
+function sendShareError(res, error, ownerToken) {
+  if (isUpstreamAuthError(error)) {
+    // The owner's Daxko login is gone, and with it the session and its shares
+    invalidateSession(ownerToken);
+    res.status(503).json({ error: 'This schedule is unavailable until its owner logs in again' });
+  } else if (isUpstreamUnavailable(error)) {
+    res.status(503).json({ error: 'Daxko is unavailable and there is no cached schedule for this date' });
+  } else {
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+}
+
+// GET /share/:shareToken - The app, in read-only shared mode
+app.get('/share/:shareToken', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// GET /api/shared/:shareToken - What a share link covers, and the settings to draw it
+app.get('/api/shared/:shareToken', requireShare, (req, res) => {
+  res.json({
+    label: req.share.label,
+    ...shareDates(req.share, GYM_TIMEZONE),
+    expiresAt: req.share.expiresAt,
+    timeZone: GYM_TIMEZONE,
+    slotMinutes: SLOT_MINUTES,
+    studios: TRACKED_STUDIOS
+  });
+});
+
+// GET /api/shared/:shareToken/availability?date=YYYY-MM-DD - One day, within the share's dates
+app.get('/api/shared/:shareToken/availability', requireShare, async (req, res) => {
+  const { from, to } = shareDates(req.share, GYM_TIMEZONE);
+  const date = req.query.date || from;
+
+  if (!isValidDate(date)) {
+    return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+  }
+  if (date < from || date > to) {
+    return res.status(403).json({ error: `This link only shows ${from} to ${to}` });
+  }
+
+  try {
+    const { availability, stale } = await withDaxkoSession(req.ownerToken, req.ownerSession, cookies =>
+      getDayAvailability(cookies, date)
+    );
+
+    res.json({ ...redactAvailability(availability), stale });
+
+  } catch (error) {
+    logger.error('share.availability_failed', { error });
+    sendShareError(res, error, req.ownerToken);
+  }
+});
+
+// GET /api/shared/:shareToken/range?from=YYYY-MM-DD&to=YYYY-MM-DD - Several days;
+// dates outside the share's range are clipped off
+app.get('/api/shared/:shareToken/range', requireShare, async (req, res) => {
+  const allowed = shareDates(req.share, GYM_TIMEZONE);
+  const { from = allowed.from, to = allowed.to } = req.query;
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return res.status(400).json({ error: 'from and to must be in YYYY-MM-DD format' });
+  }
+
+  const requested = listDates(from, to);
+  if (requested.length === 0) {
+    return res.status(400).json({ error: 'from must not be after to' });
+  }
+  if (requested.length > RANGE_MAX_DAYS) {
+    return res.status(400).json({ error: `Range cannot exceed ${RANGE_MAX_DAYS} days` });
+  }
+
+  // A well-formed range that misses the share's dates entirely is refused
+  const dates = requested.filter(date => date >= allowed.from && date <= allowed.to);
+  if (dates.length === 0) {
+    return res.status(403).json({ error: `This link only shows ${allowed.from} to ${allowed.to}` });
+  }
+
+  try {
+    const results = await withDaxkoSession(req.ownerToken, req.ownerSession, async cookies => {
+      await getScheduleMappings(cookies);
+
+      return mapWithConcurrency(dates, RANGE_CONCURRENCY, date =>
+        getDayAvailability(cookies, date, { freshMappings: false })
+      );
+    });
+
+    // Clipped days stay in place as blank entries, so days[i] is still from + i
+    const byDate = new Map(results.map(result => [result.availability.date, result]));
+    res.json({
+      from,
+      to,
+      days: requested.map(date => {
+        const result = byDate.get(date);
+        return result ? { ...redactAvailability(result.availability), stale: result.stale } : { date, outOfRange: true };
+      })
+    });
+
+  } catch (error) {
+    logger.error('share.range_failed', { error });
+    sendShareError(res, error, req.ownerToken);
+  }
+});
+
+// GET /api/shared/:shareToken/now?studio= - /api/now through a share link (kiosks
+// on shared tablets, so they never hold the login)
+app.get('/api/shared/:shareToken/now', requireShare, async (req, res) => {
+  const { studios, error } = parseStudioParam(req.query.studio);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(await getNowStatus(req.ownerToken, req.ownerSession, studios));
+  } catch (error) {
+    logger.error('share.now_failed', { error });
+    sendShareError(res, error, req.ownerToken);
+  }
+});
+
+// Notification channels (in-app list, webhook, Web Push) and the slot watcher
+const notifiers = createNotifiers({
+  vapidPublicKey: process.env.VAPID_PUBLIC_KEY,
+  vapidPrivateKey: process.env.VAPID_PRIVATE_KEY,
+  vapidSubject: process.env.VAPID_SUBJECT
+});
+
+const watcher = new SlotWatcher({
+  sessionStore,
+  intervalMs: WATCH_POLL_INTERVAL_MS,
+  timeZone: GYM_TIMEZONE,
+  deliver: notifiers.deliver,
+  fetchClasses: async (session, sessionToken, date) => {
+    try {
+      const { data } = await withDaxkoSession(sessionToken, session, cookies => getGxpClasses(cookies, date));
+      return data.gxp_classes || [];
+    } catch (error) {
+      if (isUpstreamAuthError(error)) {
+        invalidateSession(sessionToken);
+      }
+      throw error;
     }
   }
 });
 
+// GET /api/watches - List this session's watch rules
+app.get('/api/watches', requireSession, (req, res) => {
+  res.json({ rules: req.session.watchRules || [], channels: CHANNELS, pushEnabled: notifiers.pushEnabled });
+});
+
+// POST /api/watches - Add a watch rule
+app.post('/api/watches', requireSession, async (req, res) => {
+  const rules = req.session.watchRules || [];
+  if (rules.length >= MAX_WATCH_RULES) {
+    return res.status(400).json({ error: `You can have at most ${MAX_WATCH_RULES} watch rules` });
+  }
+
+  const { rule, error } = normalizeRule(req.body, { studios: TRACKED_STUDIOS, channels: CHANNELS });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  if (rule.webhookUrl) {
+    const { error: webhookError } = await validateWebhookUrl(rule.webhookUrl);
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+  }
+
+  req.session.watchRules = [...rules, rule];
+  sessionStore.saveToDisk();
+
+  logger.info('watch.added', { studio: rule.studio });
+  res.status(201).json({ rule });
+});
+
+// DELETE /api/watches/:id - Remove a watch rule
+app.delete('/api/watches/:id', requireSession, (req, res) => {
+  const rules = req.session.watchRules || [];
+  const remaining = rules.filter(rule => rule.id !== req.params.id);
+
+  if (remaining.length === rules.length) {
+    return res.status(404).json({ error: 'Watch rule not found' });
+  }
+
+  req.session.watchRules = remaining;
+  sessionStore.saveToDisk();
+  res.json({ success: true });
+});
+
+// GET /api/notifications - In-app notifications, newest first
+app.get('/api/notifications', requireSession, (req, res) => {
+  const notifications = req.session.notifications || [];
+  res.json({
+    notifications,
+    unread: notifications.filter(notification => !notification.read).length
+  });
+});
+
+// POST /api/notifications/read - Mark every notification as read
+app.post('/api/notifications/read', requireSession, (req, res) => {
+  (req.session.notifications || []).forEach(notification => {
+    notification.read = true;
+  });
+  res.json({ success: true });
+});
+
+// GET /api/push/key - VAPID public key for Web Push subscriptions
+app.get('/api/push/key', (req, res) => {
+  res.json({ enabled: notifiers.pushEnabled, publicKey: notifiers.vapidPublicKey });
+});
+
+// POST /api/push/subscribe - Store a browser push subscription on this session
+app.post('/api/push/subscribe', requireSession, (req, res) => {
+  const subscription = req.body;
+  if (!subscription || typeof subscription.endpoint !== 'string' || !subscription.keys) {
+    return res.status(400).json({ error: 'A PushSubscription object is required' });
+  }
+
+  const subscriptions = (req.session.pushSubscriptions || [])
+    .filter(entry => entry.endpoint !== subscription.endpoint);
+  req.session.pushSubscriptions = [...subscriptions, {
+    endpoint: subscription.endpoint,
+    keys: subscription.keys
+  }];
+  sessionStore.saveToDisk();
+
+  res.status(201).json({ success: true });
+});
+
+// DELETE /api/push/subscribe - Forget a browser push subscription
+app.delete('/api/push/subscribe', requireSession, (req, res) => {
+  const endpoint = req.body && req.body.endpoint;
+  req.session.pushSubscriptions = (req.session.pushSubscriptions || [])
+    .filter(entry => entry.endpoint !== endpoint);
+  sessionStore.saveToDisk();
+
+  res.json({ success: true });
+});
+
+// Daxko GXP actions behind the portal's Reserve / Cancel / Waitlist buttons.
+// `status` is what the session's reservation list records on success (null
+// removes the entry).
+const CLASS_ACTIONS = {
+  reserve: { path: 'reserve_class', label: 'reserve class', status: 'reserved' },
+  cancel: { path: 'cancel_reservation', label: 'cancel reservation', status: null },
+  joinWaitlist: { path: 'join_waitlist', label: 'join waitlist', status: 'waitlisted' },
+  leaveWaitlist: { path: 'leave_waitlist', label: 'leave waitlist', status: null }
+};
+
+// Helper: Route handler for one of the CLASS_ACTIONS on /api/classes/:id/*
+function classActionHandler(actionName) {
+  const { path: actionPath, label, status } = CLASS_ACTIONS[actionName];
+
+  return async (req, res) => {
+    const classId = req.params.id;
+    const { date } = req.body || {};
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ error: 'date (YYYY-MM-DD) of the class is required' });
+    }
+
+    try {
+      // Look the class up so we can validate the ID and remember what it was.
+      // Safe to run twice after a re-login: a rejected session changed nothing.
+      const { classObj, result } = await withDaxkoSession(req.sessionToken, req.session, async cookies => {
+        const { data } = await getGxpClasses(cookies, date);
+        const { value: mappings } = await getScheduleMappings(cookies);
+        const found = (data.gxp_classes || []).find(entry => String(entry.gxp_class_id) === classId);
+        if (!found) return { classObj: null, result: null };
+
+        return {
+          classObj: found,
+          result: await daxko.postGxpAction(cookies, actionPath, {
+            gxp_class_id: found.gxp_class_id,
+            gxp_account_id: mappings.gxp_account_id,
+            any_exerciser_id_of_unit: config.daxko.exerciserId
+          })
+        };
+      });
+
+      if (!classObj) {
+        return res.status(404).json({ error: 'Class not found on that date' });
+      }
+
+      if (result && result.success === false) {
+        return res.status(409).json({ error: result.message || 'Daxko rejected the request' });
+      }
+
+      // Booked counts changed; make the next schedule load fetch them again
+      classesCache.expireAll();
+
+      const reservations = (req.session.reservations || []).filter(entry => entry.classId !== classId);
+      if (status) {
+        reservations.push({
+          classId,
+          date,
+          name: classObj.name,
+          studio: classObj.area_name,
+          instructor: classObj.instructor_name,
+          start: new Date(parseMSDate(classObj.start_date_time)).toISOString(),
+          end: new Date(parseMSDate(classObj.end_date_time)).toISOString(),
+          status
+        });
+      }
+      req.session.reservations = reservations;
+      sessionStore.saveToDisk();
+
+      logger.info('class_action.succeeded', { action: label, classId: classObj.gxp_class_id });
+      res.json({ success: true, status, message: result && result.message });
+
+    } catch (error) {
+      logger.error('class_action.failed', { action: label, error });
+
+      if (isUpstreamAuthError(error)) {
+        invalidateSession(req.sessionToken);
+        res.status(401).json({ error: 'Session expired. Please log in again.' });
+      } else {
+        res.status(502).json({ error: `Failed to ${label}`, details: error.message });
+      }
+    }
+  };
+}
+
+// POST/DELETE /api/classes/:id/reserve - Reserve a spot / cancel a reservation
+app.post('/api/classes/:id/reserve', requireSession, classActionHandler('reserve'));
+app.delete('/api/classes/:id/reserve', requireSession, classActionHandler('cancel'));
+
+// POST/DELETE /api/classes/:id/waitlist - Join / leave a full class's waitlist
+app.post('/api/classes/:id/waitlist', requireSession, classActionHandler('joinWaitlist'));
+app.delete('/api/classes/:id/waitlist', requireSession, classActionHandler('leaveWaitlist'));
+
+// Occupancy history, recorded in the background. The schedule is not
+// user-specific, so the recorder borrows whichever stored session still works.
+const occupancyHistory = new OccupancyHistory({ file: HISTORY_FILE });
+const occupancyHistoryLoaded = occupancyHistory.load(todayDateString(GYM_TIMEZONE));
+
+const occupancyRecorder = new OccupancyRecorder({
+  history: occupancyHistory,
+  intervalMs: HISTORY_INTERVAL_MS,
+  daysAhead: HISTORY_DAYS_AHEAD,
+  timeZone: GYM_TIMEZONE,
+  fetchClasses: async date => {
+    const candidates = [];
+    sessionStore.forEach((session, sessionToken) => {
+      if (session.cookies) candidates.push({ session, sessionToken });
+    });
+
+    for (const { session, sessionToken } of candidates) {
+      try {
+        const { data } = await withDaxkoSession(sessionToken, session, cookies => getGxpClasses(cookies, date));
+        return data.gxp_classes || [];
+      } catch (error) {
+        if (!isUpstreamAuthError(error)) throw error;
+        invalidateSession(sessionToken);
+      }
+    }
+
+    return null;
+  }
+});
+
+// GET /api/stats - Busiest times, fill speed and sell-outs from the recorded
+// history (no Daxko calls). ?days=N looks back N days (default 90); only
+// that window of the file is kept in memory.
+app.get('/api/stats', requireSession, async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || STATS_DEFAULT_DAYS, 1), 365);
+  const from = addDays(todayDateString(GYM_TIMEZONE), -(days - 1));
+
+  try {
+    const records = await occupancyHistory.readRecords({ from });
+    res.json({
+      days,
+      ...computeStats(records, { studios: TRACKED_STUDIOS, timeZone: GYM_TIMEZONE, from })
+    });
+  } catch (error) {
+    logger.error('stats.failed', { error });
+    res.status(500).json({ error: 'Failed to compute stats', details: error.message });
+  }
+});
+
+// GET /api/reservations - Upcoming reservations and waitlist spots made through this app
+app.get('/api/reservations', requireSession, (req, res) => {
+  const now = Date.now();
+  const reservations = (req.session.reservations || [])
+    .filter(entry => new Date(entry.end).getTime() > now)
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  res.json({ reservations });
+});
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`JCC Studio Availability server running at http://localhost:${PORT}`);
-  console.log('Visit the URL above to view studio availability');
+  logger.info('server.started', { url: `http://localhost:${PORT}`, logLevel: logger.level });
+
+  watcher.start();
+  // Start recording once the change-detection index is rebuilt, so classes
+  // already in the file aren't written again
+  occupancyHistoryLoaded.then(() => occupancyRecorder.start());
 });
@@ -0,0 +1,43 @@
+// TtlCache (lib/cache.js): stale fallback and bounds
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TtlCache } = require('../lib/cache');
+const { isUpstreamUnavailable } = require('../lib/upstream');
+
+const outage = () => Promise.reject(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+test('past maxEntries the least recently stored entries are dropped', () => {
+  const cache = new TtlCache(60 * 1000, { maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.set('a', 3); // stored again: now the newest
+  cache.set('c', 4);
+
+  assert.deepEqual([...cache.entries.keys()], ['a', 'c']);
+  assert.equal(cache.get('a').value, 3);
+});
+
+test('an expired entry is a stale fallback during an outage, until maxStaleMs', async () => {
+  const cache = new TtlCache(1000, { maxStaleMs: 1000 });
+  cache.set('day', 'classes');
+
+  cache.entries.get('day').storedAt -= 1500; // expired, within maxStaleMs
+  const stale = await cache.getOrLoad('day', outage, { staleIf: isUpstreamUnavailable });
+  assert.equal(stale.value, 'classes');
+  assert.equal(stale.stale, true);
+
+  cache.entries.get('day').storedAt -= 1000; // past ttl + maxStaleMs
+  await assert.rejects(cache.getOrLoad('day', outage, { staleIf: isUpstreamUnavailable }), { code: 'ECONNREFUSED' });
+  assert.equal(cache.purge(), 1);
+  assert.equal(cache.entries.size, 0);
+});
+
+test('an expired Daxko login is not served stale', async () => {
+  const cache = new TtlCache(1000);
+  cache.set('day', 'classes');
+  cache.expireAll();
+
+  const loginRequired = () => Promise.reject(Object.assign(new Error('Daxko session expired'), { code: 'ELOGINREQUIRED' }));
+  await assert.rejects(cache.getOrLoad('day', loginRequired, { staleIf: isUpstreamUnavailable }), { code: 'ELOGINREQUIRED' });
+});
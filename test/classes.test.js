@@ -0,0 +1,97 @@
+// Reserve / cancel / waitlist through the proxy, against the fake Daxko
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { todayDateString, addDays } = require('../lib/dates');
+const { loadConfig } = require('../lib/config');
+
+// Tomorrow at the gym, so every class of the day is still upcoming
+const DATE = addDays(todayDateString(loadConfig().timezone), 1);
+
+// Helper: ID of a fixture class (classes/default.json) on DATE, as the fake numbers them
+function classId(fixtureId) {
+  return String(Number(DATE.replace(/-/g, '')) * 100 + fixtureId);
+}
+
+const OPEN_CLASS = classId(1); // Vinyasa Yoga, 12/20
+const FULL_CLASS = classId(2); // Pilates Mat, 15/15
+
+let app;
+let token;
+
+before(async () => {
+  app = await startApp();
+  token = await app.login();
+});
+
+after(() => app && app.stop());
+
+test('reserving and cancelling a class updates /api/reservations', async () => {
+  const reserved = await app.request('POST', `/api/classes/${OPEN_CLASS}/reserve`, { token, body: { date: DATE } });
+  assert.equal(reserved.status, 200);
+  assert.equal(reserved.body.status, 'reserved');
+
+  const listed = await app.request('GET', '/api/reservations', { token });
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.reservations.map(entry => [entry.classId, entry.name, entry.status]), [
+    [OPEN_CLASS, 'Vinyasa Yoga', 'reserved']
+  ]);
+
+  const cancelled = await app.request('DELETE', `/api/classes/${OPEN_CLASS}/reserve`, { token, body: { date: DATE } });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, null);
+
+  const remaining = await app.request('GET', '/api/reservations', { token });
+  assert.deepEqual(remaining.body.reservations, []);
+});
+
+test('the reservation shows up in the class\'s booked count', async () => {
+  await app.request('POST', `/api/classes/${OPEN_CLASS}/reserve`, { token, body: { date: DATE } });
+
+  const { body } = await app.request('GET', `/api/v2/schedule?date=${DATE}`, { token });
+  const reservedClass = body.classes.find(entry => String(entry.id) === OPEN_CLASS);
+  assert.equal(reservedClass.booked, 13);
+
+  await app.request('DELETE', `/api/classes/${OPEN_CLASS}/reserve`, { token, body: { date: DATE } });
+});
+
+test('joining and leaving a full class\'s waitlist', async () => {
+  const joined = await app.request('POST', `/api/classes/${FULL_CLASS}/waitlist`, { token, body: { date: DATE } });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.status, 'waitlisted');
+
+  const listed = await app.request('GET', '/api/reservations', { token });
+  assert.deepEqual(listed.body.reservations.map(entry => [entry.classId, entry.status]), [[FULL_CLASS, 'waitlisted']]);
+
+  const left = await app.request('DELETE', `/api/classes/${FULL_CLASS}/waitlist`, { token, body: { date: DATE } });
+  assert.equal(left.status, 200);
+  assert.deepEqual((await app.request('GET', '/api/reservations', { token })).body.reservations, []);
+});
+
+test('actions Daxko rejects answer 409 with its message', async () => {
+  const full = await app.request('POST', `/api/classes/${FULL_CLASS}/reserve`, { token, body: { date: DATE } });
+  assert.equal(full.status, 409);
+  assert.equal(full.body.error, 'Class is full');
+
+  const notFull = await app.request('POST', `/api/classes/${OPEN_CLASS}/waitlist`, { token, body: { date: DATE } });
+  assert.equal(notFull.status, 409);
+  assert.equal(notFull.body.error, 'Class is not full');
+
+  const nothingToCancel = await app.request('DELETE', `/api/classes/${OPEN_CLASS}/reserve`, { token, body: { date: DATE } });
+  assert.equal(nothingToCancel.status, 409);
+});
+
+test('a class that is not on that date answers 404', async () => {
+  const { status, body } = await app.request('POST', '/api/classes/999/reserve', { token, body: { date: DATE } });
+  assert.equal(status, 404);
+  assert.equal(body.error, 'Class not found on that date');
+});
+
+test('class actions need a date and a session', async () => {
+  const noDate = await app.request('POST', `/api/classes/${OPEN_CLASS}/reserve`, { token, body: {} });
+  assert.equal(noDate.status, 400);
+
+  const noSession = await app.request('POST', `/api/classes/${OPEN_CLASS}/reserve`, { body: { date: DATE } });
+  assert.equal(noSession.status, 401);
+});
@@ -0,0 +1,96 @@
+// Gym-local dates and times (lib/dates.js) across DST transitions, and with
+// the server's own clock in other timezones
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { localTimestamp, todayDateString, toOffsetIsoString, isValidDate } = require('../lib/dates');
+
+const GYM = 'America/Chicago';
+
+// 2026-03-08: clocks jump from 2:00 CST to 3:00 CDT
+// 2026-11-01: clocks fall back from 2:00 CDT to 1:00 CST
+const SPRING_FORWARD = '2026-03-08';
+const FALL_BACK = '2026-11-01';
+
+test('localTimestamp resolves gym wall-clock times on the spring-forward day', () => {
+  assert.equal(new Date(localTimestamp(SPRING_FORWARD, 1, 30, GYM)).toISOString(), '2026-03-08T07:30:00.000Z'); // CST
+  assert.equal(new Date(localTimestamp(SPRING_FORWARD, 6, 0, GYM)).toISOString(), '2026-03-08T11:00:00.000Z'); // CDT
+  // 2:30 AM never happens; it lands just after the jump
+  assert.equal(new Date(localTimestamp(SPRING_FORWARD, 2, 30, GYM)).toISOString(), '2026-03-08T08:30:00.000Z');
+});
+
+test('localTimestamp resolves gym wall-clock times on the fall-back day', () => {
+  assert.equal(new Date(localTimestamp(FALL_BACK, 0, 30, GYM)).toISOString(), '2026-11-01T05:30:00.000Z'); // CDT
+  assert.equal(new Date(localTimestamp(FALL_BACK, 6, 0, GYM)).toISOString(), '2026-11-01T12:00:00.000Z'); // CST
+  // 1:30 AM happens twice; the first (CDT) one wins
+  assert.equal(new Date(localTimestamp(FALL_BACK, 1, 30, GYM)).toISOString(), '2026-11-01T06:30:00.000Z');
+});
+
+test('a transition day has 23 or 25 hours between gym midnights', () => {
+  const hours = date => (localTimestamp(date, 23, 0, GYM) + 3600000 - localTimestamp(date, 0, 0, GYM)) / 3600000;
+  assert.equal(hours(SPRING_FORWARD), 23);
+  assert.equal(hours(FALL_BACK), 25);
+  assert.equal(hours('2026-03-09'), 24);
+});
+
+test('toOffsetIsoString uses the offset in effect at that moment', () => {
+  assert.equal(toOffsetIsoString(Date.parse('2026-03-08T07:59:00Z'), GYM), '2026-03-08T01:59:00-06:00');
+  assert.equal(toOffsetIsoString(Date.parse('2026-03-08T08:00:00Z'), GYM), '2026-03-08T03:00:00-05:00');
+  assert.equal(toOffsetIsoString(Date.parse('2026-11-01T06:30:00Z'), GYM), '2026-11-01T01:30:00-05:00');
+  assert.equal(toOffsetIsoString(Date.parse('2026-11-01T07:30:00Z'), GYM), '2026-11-01T01:30:00-06:00');
+  assert.equal(toOffsetIsoString(Date.parse('2026-07-01T12:00:00Z'), 'Asia/Kolkata'), '2026-07-01T17:30:00+05:30');
+});
+
+test('todayDateString follows the gym\'s midnight, not UTC\'s', () => {
+  // 11 PM at the gym is already tomorrow in UTC
+  assert.equal(todayDateString(GYM, Date.parse('2026-03-08T05:00:00Z')), '2026-03-07');
+  assert.equal(todayDateString(GYM, Date.parse('2026-03-08T06:00:00Z')), '2026-03-08'); // CST midnight
+  assert.equal(todayDateString(GYM, Date.parse('2026-03-09T04:59:00Z')), '2026-03-08'); // CDT midnight
+  assert.equal(todayDateString(GYM, Date.parse('2026-11-02T05:59:00Z')), '2026-11-01'); // CST midnight
+  assert.equal(todayDateString(GYM, Date.parse('2026-11-02T06:00:00Z')), '2026-11-02');
+});
+
+test('isValidDate refuses days the month doesn\'t have', () => {
+  assert.equal(isValidDate('2030-02-28'), true);
+  assert.equal(isValidDate('2028-02-29'), true); // leap year
+  assert.equal(isValidDate('2030-02-29'), false);
+  assert.equal(isValidDate('2030-02-30'), false);
+  assert.equal(isValidDate('2030-04-31'), false);
+  assert.equal(isValidDate('2030-13-01'), false);
+  assert.equal(isValidDate('2030-1-07'), false);
+  assert.equal(isValidDate(undefined), false);
+});
+
+// The same calls in a child process whose own clock is in another timezone
+function computeIn(tz) {
+  const script = `
+    const { localTimestamp, todayDateString, toOffsetIsoString } = require(${JSON.stringify(path.join(__dirname, '..', 'lib', 'dates'))});
+    console.log(JSON.stringify({
+      processOffset: new Date('2026-03-08T12:00:00Z').getTimezoneOffset(),
+      springForward: localTimestamp('2026-03-08', 6, 0, 'America/Chicago'),
+      fallBack: localTimestamp('2026-11-01', 1, 30, 'America/Chicago'),
+      lateEvening: todayDateString('America/Chicago', Date.parse('2026-11-02T05:30:00Z')),
+      offsetIso: toOffsetIsoString(Date.parse('2026-11-01T07:30:00Z'), 'America/Chicago')
+    }));
+  `;
+  return JSON.parse(execFileSync(process.execPath, ['-e', script], { env: { ...process.env, TZ: tz } }).toString());
+}
+
+test('results do not depend on the server\'s own timezone', () => {
+  const expected = {
+    springForward: Date.parse('2026-03-08T11:00:00Z'),
+    fallBack: Date.parse('2026-11-01T06:30:00Z'),
+    lateEvening: '2026-11-01',
+    offsetIso: '2026-11-01T01:30:00-06:00'
+  };
+
+  ['UTC', 'Asia/Tokyo', 'America/Los_Angeles', 'Pacific/Kiritimati'].forEach(tz => {
+    const { processOffset, ...results } = computeIn(tz);
+    assert.deepEqual(results, expected, `with TZ=${tz}`);
+  });
+
+  // Make sure TZ really took effect in the child
+  assert.equal(computeIn('Asia/Tokyo').processOffset, -540);
+});
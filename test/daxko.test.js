@@ -0,0 +1,94 @@
+// Daxko client (lib/daxko.js) against the fake Daxko: login, expired cookies
+// surfacing as auth errors, and the server re-logging in "stay signed in"
+// sessions with their stored credentials
+
+// Fake Daxko logins in this file expire after a second; set before the fake loads
+process.env.FAKE_DAXKO_AUTH_TTL_MS = '1000';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+const { createFakeDaxko } = require('../fake-daxko/server');
+const { createDaxkoClient, isUpstreamAuthError } = require('../lib/daxko');
+const { loadConfig } = require('../lib/config');
+
+const AUTH_TTL_MS = 1000;
+const DATE = '2030-01-07';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let fake;
+let daxko;
+
+before(async () => {
+  fake = await new Promise((resolve, reject) => {
+    const server = createFakeDaxko({ authTtlMs: AUTH_TTL_MS }).listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+  daxko = createDaxkoClient({ ...loadConfig().daxko, baseUrl: `http://127.0.0.1:${fake.address().port}` }, { retries: 0 });
+});
+
+after(() => fake && new Promise(resolve => fake.close(resolve)));
+
+test('isUpstreamAuthError: a 401 or a login redirect, nothing else', () => {
+  assert.equal(isUpstreamAuthError({ response: { status: 401 } }), true);
+  assert.equal(isUpstreamAuthError({ code: 'ELOGINREQUIRED' }), true);
+  assert.equal(isUpstreamAuthError({ response: { status: 403 } }), false);
+  assert.equal(isUpstreamAuthError({ response: { status: 503 } }), false);
+  assert.equal(isUpstreamAuthError({ code: 'ECONNREFUSED' }), false);
+  assert.equal(isUpstreamAuthError(null), false);
+});
+
+test('login resolves to the cookie jar, or null for a wrong password', async () => {
+  const cookies = await daxko.login('demo@example.com', 'demo');
+  assert.ok(cookies['.online_auth']);
+
+  assert.equal(await daxko.login('demo@example.com', 'wrong'), null);
+});
+
+test('expired cookies turn into ELOGINREQUIRED, and a fresh login works again', async () => {
+  const cookies = await daxko.login('demo@example.com', 'demo');
+  const mappings = await daxko.fetchScheduleMappings(cookies);
+  assert.ok((await daxko.fetchGxpClasses(cookies, DATE, mappings)).gxp_classes.length > 0);
+
+  await wait(AUTH_TTL_MS + 100);
+
+  // The schedule page redirects to the login pages; get_gxp_classes answers 401
+  const redirected = await daxko.fetchScheduleMappings(cookies).then(() => null, caught => caught);
+  assert.equal(redirected && redirected.code, 'ELOGINREQUIRED');
+  assert.equal(isUpstreamAuthError(redirected), true);
+
+  const rejected = await daxko.fetchGxpClasses(cookies, DATE, mappings).then(() => null, caught => caught);
+  assert.equal(rejected && rejected.response.status, 401);
+  assert.equal(isUpstreamAuthError(rejected), true);
+
+  const renewed = await daxko.login('demo@example.com', 'demo');
+  assert.ok((await daxko.fetchScheduleMappings(renewed)).areas.length > 0);
+});
+
+test('the server logs a "stay signed in" session back in when Daxko expires it', async () => {
+  const app = await startApp({ env: { SESSION_ENCRYPTION_KEY: 'test-secret' } });
+
+  try {
+    const login = await app.request('POST', '/api/login', {
+      body: { username: 'demo@example.com', password: 'demo', staySignedIn: true }
+    });
+    assert.equal(login.body.staySignedIn, true);
+    const staying = login.body.sessionToken;
+    const plain = await app.login();
+
+    await wait(AUTH_TTL_MS + 100);
+
+    // Re-logged in with the stored credentials, then the request is retried
+    const renewed = await app.request('GET', `/api/availability?date=${DATE}`, { token: staying });
+    assert.equal(renewed.status, 200);
+    assert.equal((await app.request('GET', '/api/session', { token: staying })).body.authenticated, true);
+
+    // Without stored credentials the session ends as before
+    const expired = await app.request('GET', '/api/availability?date=2030-01-08', { token: plain });
+    assert.equal(expired.status, 401);
+    assert.equal((await app.request('GET', '/api/availability?date=2030-01-08', { token: plain })).status, 401);
+  } finally {
+    await app.stop();
+  }
+});
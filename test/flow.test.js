@@ -0,0 +1,101 @@
+// The login -> schedule flow, offline against the fake Daxko
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+// A Monday in CST; the fake serves classes/default.json for it
+const DATE = '2030-01-07';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(() => app && app.stop());
+
+test('wrong credentials are rejected', async () => {
+  const { status, body } = await app.request('POST', '/api/login', {
+    body: { username: 'demo@example.com', password: 'wrong' }
+  });
+  assert.equal(status, 401);
+  assert.equal(body.error, 'Login failed - invalid credentials');
+});
+
+test('schedule routes need a session', async () => {
+  assert.equal((await app.request('GET', `/api/availability?date=${DATE}`)).status, 401);
+  assert.equal((await app.request('GET', `/api/v2/schedule?date=${DATE}`)).status, 401);
+});
+
+test('logging in as the demo account opens a session', async () => {
+  const token = await app.login();
+  const { status, body } = await app.request('GET', '/api/session', { token });
+
+  assert.equal(status, 200);
+  assert.equal(body.authenticated, true);
+});
+
+test('availability for a day: busy intervals and free windows per studio', async () => {
+  const token = await app.login();
+  const { status, body } = await app.request('GET', `/api/availability?date=${DATE}`, { token });
+
+  assert.equal(status, 200);
+  assert.equal(body.date, DATE);
+  assert.deepEqual(body.studios.map(studio => studio.studio), ['Mind-Body Studio', 'Group Exercise Studio']);
+
+  const mindBody = body.studios[0];
+  assert.deepEqual(mindBody.busy.map(interval => [interval.class.name, interval.start]), [
+    ['Vinyasa Yoga', '2030-01-07T12:30:00.000Z'],
+    ['Pilates Mat', '2030-01-07T15:00:00.000Z'],
+    ['Vinyasa Yoga', '2030-01-07T18:00:00.000Z'],
+    ['Pilates Mat', '2030-01-07T23:30:00.000Z']
+  ]);
+  assert.ok(mindBody.free.length > 0);
+  mindBody.free.forEach(window => assert.ok(window.start < window.end));
+});
+
+test('the v2 schedule: every fixture class in the normalized model', async () => {
+  const token = await app.login();
+  const { status, body } = await app.request('GET', `/api/v2/schedule?date=${DATE}`, { token });
+
+  assert.equal(status, 200);
+  assert.equal(body.classes.length, 9);
+
+  const cycling = body.classes.find(classObj => classObj.name === 'Indoor Cycling');
+  assert.deepEqual(cycling, {
+    id: '2030010708',
+    name: 'Indoor Cycling',
+    start: '2030-01-07T06:00:00-06:00',
+    end: '2030-01-07T06:45:00-06:00',
+    durationMinutes: 45,
+    studio: { id: 13, name: 'Cycle Studio' },
+    instructor: { id: 33, name: 'Priya Shah' },
+    capacity: 20,
+    booked: 20,
+    waitlist: 0,
+    isFull: true,
+    cancelled: false
+  });
+});
+
+test('logging out ends the session', async () => {
+  const token = await app.login();
+
+  assert.equal((await app.request('POST', '/api/logout', { token })).status, 200);
+  assert.equal((await app.request('GET', `/api/availability?date=${DATE}`, { token })).status, 401);
+});
+
+test('a free window downloads as a one-event calendar', async () => {
+  const token = await app.login();
+  const query = 'studio=Mind-Body%20Studio&start=2030-01-07T13:30:00.000Z&end=2030-01-07T15:00:00.000Z';
+  const { status, headers, body } = await app.request('GET', `/api/search/free-windows.ics?${query}`, { token });
+
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/calendar/);
+  assert.equal(body.match(/BEGIN:VEVENT/g).length, 1);
+  assert.match(body, /DTSTART:20300107T133000Z\r\nDTEND:20300107T150000Z\r\nSUMMARY:Studio time: Mind-Body Studio\r\n/);
+
+  const unknownStudio = await app.request('GET', '/api/search/free-windows.ics?studio=Pool&start=2030-01-07T13:30:00Z&end=2030-01-07T15:00:00Z', { token });
+  assert.equal(unknownStudio.status, 400);
+});
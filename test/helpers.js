@@ -0,0 +1,121 @@
+// Test helpers: the fake Daxko in-process and the app as a child process
+// talking to it, each on a free port, with state files in a temp directory.
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// The fake runs in this process; keep its request logging out of test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { createFakeDaxko } = require('../fake-daxko/server');
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+const STARTUP_TIMEOUT_MS = 10 * 1000;
+
+// Helper: Listen on a free port; resolves to the http.Server
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+// Helper: A port nothing is listening on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+// Helper: Wait until the app answers GET /healthz
+async function waitUntilHealthy(baseUrl, child) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}`);
+
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('server.js did not become healthy in time');
+}
+
+// Start the fake Daxko and the app against it. Resolves to
+// { baseUrl, request, login, stop }; call stop() in an after() hook.
+async function startApp({ env = {} } = {}) {
+  const daxko = await listen(createFakeDaxko());
+  const stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jcc-mashup-test-'));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DAXKO_BASE_URL: `http://127.0.0.1:${daxko.address().port}`,
+      SESSION_FILE: path.join(stateDir, 'sessions.json'),
+      PREFERENCES_FILE: path.join(stateDir, 'preferences.json'),
+      HISTORY_FILE: path.join(stateDir, 'occupancy.jsonl'),
+      LOG_LEVEL: 'error',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+
+  async function stop() {
+    if (child.exitCode === null) {
+      await new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+    await new Promise(resolve => daxko.close(resolve));
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitUntilHealthy(baseUrl, child);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  // Call the app's API: resolves to { status, body } (body parsed when JSON)
+  async function request(method, urlPath, { token, body } = {}) {
+    const headers = {};
+    if (token) headers['X-Session-Token'] = token;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  // Log in as the fixture account; resolves to the session token
+  async function login(username = 'demo@example.com', password = 'demo') {
+    const { status, body } = await request('POST', '/api/login', { body: { username, password } });
+    if (status !== 200) throw new Error(`Login failed with ${status}: ${JSON.stringify(body)}`);
+    return body.sessionToken;
+  }
+
+  return { baseUrl, request, login, stop };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,77 @@
+// Occupancy history file (lib/history.js): windowed reads and the in-memory
+// index, and the stats computed from it (lib/stats.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OccupancyHistory } = require('../lib/history');
+const { computeStats } = require('../lib/stats');
+
+// Helper: A Daxko class as getGxpClasses returns it
+function daxkoClass(id, date, booked) {
+  const start = Date.parse(`${date}T15:00:00Z`);
+  return {
+    gxp_class_id: id,
+    name: 'Vinyasa Yoga',
+    area_name: 'Mind-Body Studio',
+    instructor_name: 'Dana Levy',
+    start_date_time: `/Date(${start})/`,
+    end_date_time: `/Date(${start + 60 * 60 * 1000})/`,
+    booked,
+    capacity: 20,
+    is_class_full: false
+  };
+}
+
+// Helper: A history backed by a fresh temp file; removed after the test
+function tempHistory(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jcc-mashup-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return new OccupancyHistory({ file: path.join(dir, 'occupancy.jsonl') });
+}
+
+test('readRecords only returns classes inside the window and skips broken lines', async t => {
+  const history = tempHistory(t);
+  history.record('2026-10-01', [daxkoClass(1, '2026-10-01', 5)]);
+  fs.appendFileSync(history.file, '{"classId": "cut sh\n');
+  history.record('2026-10-20', [daxkoClass(2, '2026-10-20', 7)]);
+
+  assert.deepEqual((await history.readRecords()).map(record => record.classId), ['1', '2']);
+  assert.deepEqual((await history.readRecords({ from: '2026-10-15' })).map(record => record.classId), ['2']);
+});
+
+test('load keeps only today\'s and later classes, and prune drops days as they pass', async t => {
+  const history = tempHistory(t);
+  history.record('2026-10-18', [daxkoClass(1, '2026-10-18', 5)]);
+  history.record('2026-10-19', [daxkoClass(2, '2026-10-19', 7)]);
+  history.record('2026-10-20', [daxkoClass(3, '2026-10-20', 9)]);
+
+  const restarted = new OccupancyHistory({ file: history.file });
+  await restarted.load('2026-10-19');
+  assert.deepEqual([...restarted.latest.keys()], ['2', '3']);
+
+  // Unchanged classes are not written again after the restart
+  assert.equal(restarted.record('2026-10-20', [daxkoClass(3, '2026-10-20', 9)]), 0);
+
+  assert.equal(restarted.prune('2026-10-20'), 1);
+  assert.deepEqual([...restarted.latest.keys()], ['3']);
+});
+
+test('a class that hasn\'t started counts toward utilization but not averageFill', async t => {
+  const history = tempHistory(t);
+  history.record('2026-10-12', [daxkoClass(1, '2026-10-12', 20)]); // a Monday, full
+  history.record('2026-10-19', [daxkoClass(2, '2026-10-19', 5)]); // the next Monday, a quarter booked
+
+  const records = await history.readRecords();
+  const stats = computeStats(records, {
+    studios: ['Mind-Body Studio'],
+    timeZone: 'America/Chicago',
+    now: Date.parse('2026-10-19T12:00:00Z') // before the second class starts
+  });
+
+  // 15:00Z is 10 AM CDT
+  assert.deepEqual(stats.heatmap[0].cells, [{ weekday: 1, hour: 10, utilization: 1, averageFill: 1 }]);
+  assert.deepEqual(stats.classes.map(group => [group.name, group.classes, group.averageFill]), [['Vinyasa Yoga', 1, 1]]);
+});
@@ -0,0 +1,102 @@
+// Opening hours (lib/hours.js): parsing, config validation and which source
+// wins for a date
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseClockTime,
+  normalizeHoursConfig,
+  parseBranchHours,
+  resolveDayHours,
+  openingWindow,
+  serializeHours
+} = require('../lib/hours');
+
+const GYM = 'America/Chicago';
+const MONDAY = '2030-01-07';
+const SUNDAY = '2030-01-06';
+
+const HOURS_CONFIG = normalizeHoursConfig({
+  weekly: { sun: ['08:00', '18:00'], sat: null },
+  holidays: {
+    '2030-01-01': { name: 'New Year\'s Day', hours: null },
+    '2030-01-08': ['08:00', '14:00']
+  }
+});
+
+// Helper: A date's hours as the API shows them
+function hoursOn(date, branchHours = null) {
+  return serializeHours(resolveDayHours(date, { hoursConfig: HOURS_CONFIG, branchHours }));
+}
+
+test('parseClockTime reads 24-hour, seconds and AM/PM times', () => {
+  assert.equal(parseClockTime('06:00'), 360);
+  assert.equal(parseClockTime('6:30:00'), 390);
+  assert.equal(parseClockTime('9:15 pm'), 21 * 60 + 15);
+  assert.equal(parseClockTime('12:00 AM'), 0);
+  assert.equal(parseClockTime('12:30 PM'), 12 * 60 + 30);
+  assert.equal(parseClockTime('24:00'), 24 * 60);
+  ['24:30', '13:00 PM', '7:60', 'noon', null].forEach(value => assert.equal(parseClockTime(value), null, String(value)));
+});
+
+test('normalizeHoursConfig fills unset days with the default and rejects typos', () => {
+  assert.deepEqual(HOURS_CONFIG.weekly[1], { open: 360, close: 19 * 60 }); // default 6 AM - 7 PM
+  assert.deepEqual(HOURS_CONFIG.weekly[0], { open: 480, close: 18 * 60 });
+  assert.equal(HOURS_CONFIG.weekly[6], null);
+  assert.deepEqual(normalizeHoursConfig({ default: ['05:30', '21:00'] }).weekly[3], { open: 330, close: 21 * 60 });
+
+  assert.throws(() => normalizeHoursConfig({ weekly: { mon: ['19:00', '06:00'] } }), /Invalid hours for mon/);
+  assert.throws(() => normalizeHoursConfig({ weekly: { monday: null } }), /Unknown day in hours.weekly: monday/);
+  assert.throws(() => normalizeHoursConfig({ holidays: { '12/25/2030': null } }), /Invalid holiday date/);
+  assert.throws(() => normalizeHoursConfig({ holidays: { '2030-12-25': ['8 AM'] } }), /Invalid hours for holiday 2030-12-25/);
+});
+
+test('parseBranchHours reads the configured branch and leaves missing days undefined', () => {
+  const branches = [
+    { branch_id: 1, hours: [{ day_of_week: 'Monday', open_time: '5:00 AM', close_time: '10:00 PM' }] },
+    {
+      branch_id: 6469,
+      operating_hours: [
+        { weekday: 1, opens: '05:30', closes: '21:00' },
+        { day: 'sun', is_closed: true },
+        { day: 'someday', opens: '01:00', closes: '02:00' }
+      ]
+    }
+  ];
+
+  const weekly = parseBranchHours(branches, 6469);
+  assert.deepEqual(weekly[1], { open: 330, close: 21 * 60 });
+  assert.equal(weekly[0], null);
+  assert.equal(weekly[2], undefined);
+
+  assert.equal(parseBranchHours(branches, 999), null);
+  assert.equal(parseBranchHours([{ branch_id: 1 }], 6469), null); // the only branch, but no hours
+  assert.equal(parseBranchHours(undefined, 6469), null);
+});
+
+test('a holiday beats branch hours, which beat the weekly config', () => {
+  const branchHours = [undefined, { open: 330, close: 21 * 60 }, { open: 330, close: 21 * 60 }, undefined, undefined, undefined, undefined];
+
+  assert.deepEqual(hoursOn(MONDAY, branchHours), { open: '05:30', close: '21:00', closed: false, source: 'branch', name: null });
+  assert.deepEqual(hoursOn(MONDAY), { open: '06:00', close: '19:00', closed: false, source: 'config', name: null });
+  assert.deepEqual(hoursOn(SUNDAY, branchHours), { open: '08:00', close: '18:00', closed: false, source: 'config', name: null });
+
+  // 1/8 is a Tuesday with branch hours, but the holiday override wins
+  assert.deepEqual(hoursOn('2030-01-08', branchHours), { open: '08:00', close: '14:00', closed: false, source: 'holiday', name: null });
+  assert.deepEqual(hoursOn('2030-01-01', branchHours), { open: null, close: null, closed: true, source: 'holiday', name: 'New Year\'s Day' });
+  assert.deepEqual(hoursOn('2030-01-05'), { open: null, close: null, closed: true, source: 'config', name: null });
+});
+
+test('openingWindow turns a day\'s hours into gym-local timestamps', () => {
+  const window = openingWindow(MONDAY, resolveDayHours(MONDAY, { hoursConfig: HOURS_CONFIG }), GYM);
+  assert.deepEqual(window, {
+    windowStart: Date.parse('2030-01-07T12:00:00Z'),
+    windowEnd: Date.parse('2030-01-08T01:00:00Z')
+  });
+
+  // A Sunday on the spring-forward date: 8 AM is already CDT
+  const springForward = openingWindow('2030-03-10', resolveDayHours('2030-03-10', { hoursConfig: HOURS_CONFIG }), GYM);
+  assert.equal(springForward.windowStart, Date.parse('2030-03-10T13:00:00Z'));
+
+  assert.equal(openingWindow('2030-01-01', resolveDayHours('2030-01-01', { hoursConfig: HOURS_CONFIG }), GYM), null);
+});
@@ -0,0 +1,45 @@
+// GET /metrics: only for Prometheus holding METRICS_TOKEN
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const METRICS_TOKEN = 'scrape-secret';
+
+let app;
+
+before(async () => {
+  app = await startApp({ env: { METRICS_TOKEN } });
+});
+
+after(() => app && app.stop());
+
+// Helper: GET /metrics with an Authorization header (or none)
+async function scrape(baseUrl, authorization) {
+  const response = await fetch(`${baseUrl}/metrics`, { headers: authorization ? { Authorization: authorization } : {} });
+  return { status: response.status, headers: response.headers, text: await response.text() };
+}
+
+test('the right bearer token gets the metrics', async () => {
+  const { status, text } = await scrape(app.baseUrl, `Bearer ${METRICS_TOKEN}`);
+  assert.equal(status, 200);
+  assert.match(text, /^# TYPE jcc_http_requests_total counter$/m);
+});
+
+test('no token or a wrong one answers 401', async () => {
+  const missing = await scrape(app.baseUrl);
+  assert.equal(missing.status, 401);
+  assert.match(missing.headers.get('www-authenticate'), /^Bearer/);
+
+  assert.equal((await scrape(app.baseUrl, 'Bearer nope')).status, 401);
+  assert.equal((await scrape(app.baseUrl, METRICS_TOKEN)).status, 401);
+});
+
+test('without METRICS_TOKEN the endpoint is off', async () => {
+  const unconfigured = await startApp({ env: { METRICS_TOKEN: '' } });
+  try {
+    assert.equal((await scrape(unconfigured.baseUrl, `Bearer ${METRICS_TOKEN}`)).status, 404);
+  } finally {
+    await unconfigured.stop();
+  }
+});
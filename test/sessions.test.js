@@ -0,0 +1,136 @@
+// Session store (lib/sessions.js): encryption at rest, wrong keys, tampering
+// and atomic writes
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionStore } = require('../lib/sessions');
+
+const COOKIES = { '.online_auth': 'daxko-auth-cookie' };
+
+// Helper: A session file path in a fresh temp directory; removed after the test
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jcc-mashup-sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'sessions.json');
+}
+
+// Helper: A saved store with one session carrying every kind of token
+function saveSession(file, secret) {
+  const store = new SessionStore({ file, secret });
+  store.set('session-token', COOKIES, 'account-key');
+  Object.assign(store.get('session-token'), {
+    feedToken: 'feed-token',
+    shares: [{ id: 'share', token: 'share-token', expiresAt: '2099-01-01T00:00:00.000Z' }],
+    watchRules: [{ id: 'rule', webhookUrl: 'https://hooks.example.com/secret-path' }]
+  });
+  store.setCredentials('session-token', { username: 'demo@example.com', password: 'demo' });
+  store.saveToDisk();
+  return store;
+}
+
+// Helper: A store loaded from `file`
+function load(file, secret) {
+  const store = new SessionStore({ file, secret });
+  store.loadFromDisk();
+  return store;
+}
+
+test('with a key, nothing in the file is readable and it loads back intact', t => {
+  const file = tempFile(t);
+  saveSession(file, 'secret');
+
+  const text = fs.readFileSync(file, 'utf8');
+  assert.deepEqual(Object.keys(JSON.parse(text)), ['encrypted']);
+  ['session-token', 'daxko-auth-cookie', 'feed-token', 'share-token', 'hooks.example.com', 'demo@example.com']
+    .forEach(secret => assert.ok(!text.includes(secret), `file contains ${secret}`));
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+
+  const loaded = load(file, 'secret');
+  const session = loaded.get('session-token');
+  assert.deepEqual(session.cookies, COOKIES);
+  assert.equal(session.feedToken, 'feed-token');
+  assert.equal(loaded.findShare('share-token').sessionToken, 'session-token');
+  assert.equal(session.watchRules[0].webhookUrl, 'https://hooks.example.com/secret-path');
+  assert.deepEqual(loaded.getCredentials(session), { username: 'demo@example.com', password: 'demo' });
+});
+
+test('without a key the file is plain JSON and credentials are never kept', t => {
+  const file = tempFile(t);
+  const store = saveSession(file, undefined);
+
+  assert.equal(store.canStoreCredentials, false);
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.deepEqual(stored['session-token'].cookies, COOKIES);
+  assert.equal(stored['session-token'].credentials, undefined);
+
+  assert.deepEqual(load(file, undefined).get('session-token').cookies, COOKIES);
+});
+
+test('a wrong or missing key loads no sessions, and the store still counts as loaded', t => {
+  const file = tempFile(t);
+  saveSession(file, 'secret');
+
+  const wrongKey = load(file, 'another-secret');
+  assert.equal(wrongKey.size, 0);
+  assert.equal(wrongKey.loaded, true);
+
+  assert.equal(load(file, undefined).size, 0);
+});
+
+test('a tampered file is rejected, not half-read', t => {
+  const file = tempFile(t);
+  saveSession(file, 'secret');
+
+  // Flip one byte of the ciphertext: GCM's auth tag no longer matches
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const parts = stored.encrypted.split(':');
+  const data = Buffer.from(parts[parts.length - 1], 'base64');
+  data[0] ^= 1;
+  parts[parts.length - 1] = data.toString('base64');
+  fs.writeFileSync(file, JSON.stringify({ encrypted: parts.join(':') }));
+
+  assert.equal(load(file, 'secret').size, 0);
+});
+
+test('files that only encrypted the cookies still load, and are fully encrypted on the next save', t => {
+  const file = tempFile(t);
+
+  // An enc:v1 payload of the cookies under the key, as older versions wrote them
+  const encrypter = new SessionStore({ file, secret: 'secret' });
+  encrypter.set('scratch', null);
+  encrypter.setCredentials('scratch', COOKIES);
+  const encryptedCookies = encrypter.get('scratch').credentials;
+
+  fs.writeFileSync(file, JSON.stringify({
+    'legacy-token': { cookies: encryptedCookies, account: null, timestamp: Date.now(), feedToken: 'feed-token' },
+    'tampered-token': { cookies: encryptedCookies.replace(/:[^:]+$/, ':AAAA'), account: null, timestamp: Date.now() }
+  }));
+
+  const loaded = load(file, 'secret');
+  assert.deepEqual(loaded.get('legacy-token').cookies, COOKIES);
+  assert.equal(loaded.get('tampered-token'), null);
+
+  loaded.saveToDisk();
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))), ['encrypted']);
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('feed-token'));
+});
+
+test('saving is atomic: a failed write leaves the previous file and no temp file', t => {
+  const file = tempFile(t);
+  saveSession(file, 'secret');
+  const before = fs.readFileSync(file, 'utf8');
+
+  const store = load(file, 'secret');
+  store.set('another-token', COOKIES);
+  t.mock.method(fs, 'renameSync', () => {
+    throw Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+  });
+  store.saveToDisk();
+  t.mock.restoreAll();
+
+  assert.equal(fs.readFileSync(file, 'utf8'), before);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), [path.basename(file)]);
+});
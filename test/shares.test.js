@@ -0,0 +1,145 @@
+// Read-only share links (lib/shares.js): scope, expiry, revocation and what a
+// viewer without a login gets to see, against the fake Daxko
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startApp } = require('./helpers');
+const { todayDateString, addDays } = require('../lib/dates');
+const { loadConfig } = require('../lib/config');
+
+const { timezone, studios } = loadConfig();
+const TODAY = todayDateString(timezone);
+const TOMORROW = addDays(TODAY, 1);
+
+// Class fields a share may see (see lib/shares.js)
+const SHARED_CLASS_FIELDS = ['name', 'area_name', 'instructor_name', 'booked', 'capacity', 'is_class_full'];
+
+// A share that expired yesterday, seeded into the session file before startup
+// (the API only creates shares that last at least a day)
+const EXPIRED_SHARE_TOKEN = 'expired-share-token';
+
+let app;
+let seedDir;
+let token;
+
+before(async () => {
+  seedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jcc-mashup-shares-'));
+  const sessionFile = path.join(seedDir, 'sessions.json');
+  fs.writeFileSync(sessionFile, JSON.stringify({
+    'seeded-session-token': {
+      cookies: 'seeded=1',
+      account: null,
+      timestamp: Date.now(),
+      shares: [{
+        id: 'expired',
+        token: EXPIRED_SHARE_TOKEN,
+        label: 'Old link',
+        days: 7,
+        createdAt: new Date(Date.now() - 8 * 86400000).toISOString(),
+        expiresAt: new Date(Date.now() - 86400000).toISOString(),
+        lastUsedAt: null
+      }]
+    }
+  }));
+
+  app = await startApp({ env: { SESSION_FILE: sessionFile } });
+  token = await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+  fs.rmSync(seedDir, { recursive: true, force: true });
+});
+
+// Helper: Create a share link as the owner; resolves to { id, shareToken }
+async function createShare(body = { days: 3 }) {
+  const { status, body: created } = await app.request('POST', '/api/shares', { token, body });
+  assert.equal(status, 201);
+  return { id: created.share.id, shareToken: created.share.url.split('/').pop() };
+}
+
+test('a share link reads the owner\'s schedule without a login', async () => {
+  const { shareToken } = await createShare();
+
+  const meta = await app.request('GET', `/api/shared/${shareToken}`);
+  assert.equal(meta.status, 200);
+  assert.deepEqual([meta.body.from, meta.body.to], [TODAY, addDays(TODAY, 2)]);
+
+  const day = await app.request('GET', `/api/shared/${shareToken}/availability?date=${TOMORROW}`);
+  assert.equal(day.status, 200);
+  assert.deepEqual(day.body.studios.map(studio => studio.studio), studios);
+});
+
+test('an expired or revoked link answers 404', async () => {
+  const expired = await app.request('GET', `/api/shared/${EXPIRED_SHARE_TOKEN}`);
+  assert.equal(expired.status, 404);
+
+  const { id, shareToken } = await createShare();
+  assert.equal((await app.request('GET', `/api/shared/${shareToken}`)).status, 200);
+
+  assert.equal((await app.request('DELETE', `/api/shares/${id}`, { token })).status, 200);
+  assert.equal((await app.request('GET', `/api/shared/${shareToken}`)).status, 404);
+  assert.equal((await app.request('GET', `/api/shared/${shareToken}/availability?date=${TODAY}`)).status, 404);
+});
+
+test('dates and studios outside the share are refused', async () => {
+  const { shareToken } = await createShare();
+  const base = `/api/shared/${shareToken}`;
+
+  assert.equal((await app.request('GET', `${base}/availability?date=${addDays(TODAY, 3)}`)).status, 403);
+  assert.equal((await app.request('GET', `${base}/availability?date=${addDays(TODAY, -1)}`)).status, 403);
+  assert.equal((await app.request('GET', `${base}/range?from=${addDays(TODAY, 5)}&to=${addDays(TODAY, 8)}`)).status, 403);
+  assert.equal((await app.request('GET', `${base}/now?studio=Cycle%20Studio`)).status, 400);
+
+  // Malformed requests are not authorization failures
+  assert.equal((await app.request('GET', `${base}/range?from=${TOMORROW}&to=${TODAY}`)).status, 400);
+  assert.equal((await app.request('GET', `${base}/availability?date=2030-02-30`)).status, 400);
+
+  // Days past the share's last date come back blank
+  const range = await app.request('GET', `${base}/range?from=${TOMORROW}&to=${addDays(TODAY, 4)}`);
+  assert.equal(range.status, 200);
+  assert.deepEqual(range.body.days.map(day => Boolean(day.outOfRange)), [false, false, true, true]);
+});
+
+test('a share token is not a login', async () => {
+  const { shareToken } = await createShare();
+
+  assert.equal((await app.request('GET', '/api/reservations', { token: shareToken })).status, 401);
+  assert.equal((await app.request('GET', '/api/shares', { token: shareToken })).status, 401);
+});
+
+test('shared responses carry no member, booking or token fields', async () => {
+  const feed = await app.request('POST', '/api/ical/feed', { token });
+  const feedToken = feed.body.url.match(/\/ical\/(\w+)\.ics/)[1];
+
+  // Book a class tomorrow, so the owner's schedule has something of theirs in it
+  const { body: schedule } = await app.request('GET', `/api/v2/schedule?date=${TOMORROW}`, { token });
+  const open = schedule.classes.find(classObj => !classObj.isFull && studios.includes(classObj.studio.name));
+  assert.equal((await app.request('POST', `/api/classes/${open.id}/reserve`, { token, body: { date: TOMORROW } })).status, 200);
+
+  const { shareToken } = await createShare();
+  const responses = [
+    await app.request('GET', `/api/shared/${shareToken}`),
+    await app.request('GET', `/api/shared/${shareToken}/availability?date=${TOMORROW}`),
+    await app.request('GET', `/api/shared/${shareToken}/range?from=${TODAY}&to=${TOMORROW}`)
+  ];
+
+  responses.forEach(({ status, body }) => {
+    assert.equal(status, 200);
+    const text = JSON.stringify(body);
+    [token, feedToken, 'feedToken', 'sessionToken', 'demo@example.com', 'reservation', 'waitlist', 'gxp_', 'account']
+      .forEach(secret => assert.ok(!text.includes(secret), `shared response contains ${secret}`));
+  });
+
+  const classes = [responses[1].body, ...responses[2].body.days]
+    .flatMap(day => day.studios.flatMap(studio => studio.busy.map(interval => interval.class)));
+  assert.ok(classes.length > 0);
+  classes.forEach(classObj => {
+    Object.keys(classObj).forEach(field => assert.ok(SHARED_CLASS_FIELDS.includes(field), `shared class has ${field}`));
+  });
+
+  await app.request('DELETE', `/api/classes/${open.id}/reserve`, { token, body: { date: TOMORROW } });
+});
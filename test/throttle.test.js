@@ -0,0 +1,125 @@
+// Login throttling (lib/throttle.js): lockout, backoff and in-flight slots
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LoginThrottle } = require('../lib/throttle');
+const { startApp } = require('./helpers');
+
+const SECOND = 1000;
+const T0 = Date.parse('2030-01-07T12:00:00Z');
+
+// Helper: One rejected login attempt at `now`; returns the lockout it started
+function failLogin(throttle, ip, username, now) {
+  assert.equal(throttle.check(ip, username, now).allowed, true);
+  return throttle.recordFailure(ip, username, now);
+}
+
+test('the 5th failure for a username locks it for 30 s', () => {
+  const throttle = new LoginThrottle();
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    assert.equal(failLogin(throttle, '10.0.0.1', 'member@example.com', T0), 0);
+  }
+  assert.equal(failLogin(throttle, '10.0.0.1', 'member@example.com', T0), 30 * SECOND);
+
+  assert.deepEqual(throttle.check('10.0.0.1', 'member@example.com', T0 + 10 * SECOND), {
+    allowed: false,
+    scope: 'username',
+    retryAfterMs: 20 * SECOND
+  });
+  // Case and surrounding spaces don't make a new username; another IP doesn't help
+  assert.equal(throttle.check('10.0.0.2', ' Member@Example.com ', T0).allowed, false);
+  // Another username from the same IP is still fine
+  assert.equal(throttle.check('10.0.0.1', 'other@example.com', T0).allowed, true);
+});
+
+test('each failure after that doubles the lockout, up to the cap', () => {
+  const throttle = new LoginThrottle({ maxLockoutMs: 2 * 60 * SECOND });
+  let now = T0;
+
+  for (let attempt = 1; attempt <= 4; attempt++) failLogin(throttle, '10.0.0.1', 'member@example.com', now);
+
+  const lockouts = [];
+  for (let attempt = 5; attempt <= 8; attempt++) {
+    const lockoutMs = failLogin(throttle, '10.0.0.1', 'member@example.com', now);
+    lockouts.push(lockoutMs / SECOND);
+    now += lockoutMs;
+  }
+  assert.deepEqual(lockouts, [30, 60, 120, 120]);
+});
+
+test('an IP gets 20 free failures across usernames', () => {
+  const throttle = new LoginThrottle();
+
+  for (let attempt = 1; attempt <= 19; attempt++) {
+    assert.equal(failLogin(throttle, '10.0.0.1', `user${attempt}@example.com`, T0), 0);
+  }
+  assert.equal(failLogin(throttle, '10.0.0.1', 'user20@example.com', T0), 30 * SECOND);
+  assert.equal(throttle.check('10.0.0.1', 'fresh@example.com', T0).scope, 'ip');
+});
+
+test('logins in flight hold the remaining free attempts', () => {
+  const throttle = new LoginThrottle();
+  for (let attempt = 1; attempt <= 3; attempt++) failLogin(throttle, '10.0.0.1', 'member@example.com', T0);
+
+  // 2 free attempts left: only 2 may run at once
+  assert.equal(throttle.check('10.0.0.1', 'member@example.com', T0).allowed, true);
+  assert.equal(throttle.check('10.0.0.1', 'member@example.com', T0).allowed, true);
+  assert.deepEqual(throttle.check('10.0.0.1', 'member@example.com', T0), {
+    allowed: false,
+    scope: 'username',
+    retryAfterMs: 5 * SECOND
+  });
+});
+
+test('a slot is given back when the Daxko call throws', () => {
+  const throttle = new LoginThrottle({ usernameAttempts: 1 });
+
+  assert.equal(throttle.check('10.0.0.1', 'member@example.com', T0).allowed, true);
+  assert.equal(throttle.check('10.0.0.1', 'member@example.com', T0).allowed, false);
+
+  // No verdict on the password: nothing is counted
+  throttle.release('10.0.0.1', 'member@example.com');
+  assert.equal(throttle.check('10.0.0.1', 'member@example.com', T0).allowed, true);
+  throttle.release('10.0.0.1', 'member@example.com');
+  assert.equal(throttle.entries.get('ip:10.0.0.1').failures, 0);
+});
+
+test('a successful login clears the username\'s failures but not the IP\'s', () => {
+  const throttle = new LoginThrottle();
+  for (let attempt = 1; attempt <= 4; attempt++) failLogin(throttle, '10.0.0.1', 'member@example.com', T0);
+
+  assert.equal(throttle.check('10.0.0.1', 'member@example.com', T0).allowed, true);
+  throttle.recordSuccess('10.0.0.1', 'member@example.com', T0);
+
+  // A fresh set of 5: four more failures start no lockout
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    assert.equal(failLogin(throttle, '10.0.0.1', 'member@example.com', T0), 0);
+  }
+  assert.equal(throttle.entries.get('ip:10.0.0.1').failures, 8);
+});
+
+test('failures are forgotten an hour after the last one', () => {
+  const throttle = new LoginThrottle();
+  for (let attempt = 1; attempt <= 5; attempt++) failLogin(throttle, '10.0.0.1', 'member@example.com', T0);
+
+  const later = T0 + 60 * 60 * SECOND + 1;
+  assert.equal(throttle.purge(later), 2);
+  assert.equal(failLogin(throttle, '10.0.0.1', 'member@example.com', later), 0);
+});
+
+test('logins that fail before Daxko answers never lock anyone out', async () => {
+  // Nothing listens on Daxko's port, so every login throws
+  const app = await startApp({ env: { DAXKO_BASE_URL: 'http://127.0.0.1:9' } });
+
+  try {
+    for (let attempt = 1; attempt <= 7; attempt++) {
+      const { status } = await app.request('POST', '/api/login', {
+        body: { username: 'demo@example.com', password: 'demo' }
+      });
+      assert.notEqual(status, 429, `attempt ${attempt} was throttled`);
+    }
+  } finally {
+    await app.stop();
+  }
+});
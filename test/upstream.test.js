@@ -0,0 +1,152 @@
+// Upstream client (lib/upstream.js): what counts as an outage, retries with
+// jittered backoff, and the circuit breaker
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createUpstreamClient, isUpstreamUnavailable, CircuitBreaker } = require('../lib/upstream');
+const { logger } = require('../lib/logger');
+
+// A local upstream that answers each request with the next queued status
+// (200 once the queue is empty) and counts the hits
+let server;
+let baseUrl;
+let statuses = [];
+let hits = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(statuses.shift() || 200, { 'Content-Type': 'application/json' });
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Helper: Queue statuses and reset the hit count
+function answer(...queued) {
+  statuses = queued;
+  hits = 0;
+}
+
+// Helper: The error a promise rejects with (null if it resolves)
+function failure(promise) {
+  return promise.then(() => null, error => error);
+}
+
+test('isUpstreamUnavailable: network errors, 5xx and an open breaker only', () => {
+  assert.equal(isUpstreamUnavailable({ code: 'ECIRCUITOPEN' }), true);
+  assert.equal(isUpstreamUnavailable({ code: 'ECONNREFUSED' }), true);
+  assert.equal(isUpstreamUnavailable({ code: 'ECONNABORTED', request: {} }), true);
+  assert.equal(isUpstreamUnavailable({ response: { status: 502 } }), true);
+  assert.equal(isUpstreamUnavailable({ response: { status: 401 } }), false);
+  assert.equal(isUpstreamUnavailable({ response: { status: 409 } }), false);
+  assert.equal(isUpstreamUnavailable({ code: 'ELOGINREQUIRED' }), false);
+  assert.equal(isUpstreamUnavailable(new SyntaxError('Unexpected token')), false);
+});
+
+test('idempotent calls retry 5xx up to `retries` times; others never do', async () => {
+  const client = createUpstreamClient({ retries: 2, baseDelayMs: 1, failureThreshold: 100 });
+
+  answer(503, 503);
+  assert.equal((await client.get(`${baseUrl}/page`)).status, 200);
+  assert.equal(hits, 3);
+
+  answer(503, 503, 503);
+  assert.equal((await failure(client.get(`${baseUrl}/page`))).response.status, 503);
+  assert.equal(hits, 3);
+
+  answer(503);
+  assert.equal((await failure(client.post(`${baseUrl}/reserve`, {}))).response.status, 503);
+  assert.equal(hits, 1);
+
+  answer(503);
+  assert.equal((await client.post(`${baseUrl}/classes`, {}, {}, { idempotent: true })).status, 200);
+  assert.equal(hits, 2);
+
+  answer(404);
+  assert.equal((await failure(client.get(`${baseUrl}/page`))).response.status, 404);
+  assert.equal(hits, 1);
+});
+
+test('retry delays are full jitter under base * 2^(attempt - 1)', async t => {
+  // Each retry logs its delay before sleeping
+  const delays = [];
+  t.mock.method(logger, 'debug', (event, fields) => {
+    if (event === 'upstream.retry') delays.push(fields.delayMs);
+  });
+  const client = createUpstreamClient({ retries: 3, baseDelayMs: 20, failureThreshold: 100 });
+
+  // At the top of the jitter range, each delay is the full cap
+  t.mock.method(Math, 'random', () => 0.999999);
+  answer(500, 500, 500);
+  await client.get(`${baseUrl}/page`);
+  assert.deepEqual(delays, [20, 40, 80]);
+
+  // At the bottom, retries go straight away
+  delays.length = 0;
+  Math.random.mock.mockImplementation(() => 0);
+  answer(500, 500);
+  await client.get(`${baseUrl}/page`);
+  assert.deepEqual(delays, [0, 0]);
+});
+
+test('the breaker opens after failureThreshold failures, fails fast, then lets one trial through', async () => {
+  const client = createUpstreamClient({ retries: 0, failureThreshold: 2, cooldownMs: 30 * 1000 });
+
+  answer(500, 500);
+  await failure(client.get(`${baseUrl}/page`));
+  assert.equal(client.breaker.state, 'closed');
+  await failure(client.get(`${baseUrl}/page`));
+  assert.equal(client.breaker.state, 'open');
+
+  // Fails fast without calling the upstream
+  answer();
+  const fast = await failure(client.get(`${baseUrl}/page`));
+  assert.equal(fast.code, 'ECIRCUITOPEN');
+  assert.equal(isUpstreamUnavailable(fast), true);
+  assert.equal(hits, 0);
+
+  // After the cooldown a failed trial re-opens it for another cooldown...
+  client.breaker.openedAt -= 30 * 1000;
+  assert.equal(client.breaker.state, 'half-open');
+  answer(500);
+  await failure(client.get(`${baseUrl}/page`));
+  assert.equal(client.breaker.state, 'open');
+
+  // ...and a successful one closes it
+  client.breaker.openedAt -= 30 * 1000;
+  answer();
+  assert.equal((await client.get(`${baseUrl}/page`)).status, 200);
+  assert.equal(client.breaker.state, 'closed');
+  assert.equal(client.breaker.failures, 0);
+});
+
+test('4xx answers show the upstream is up: they reset the failure count', async () => {
+  const client = createUpstreamClient({ retries: 0, failureThreshold: 2 });
+
+  answer(500, 401, 500);
+  await failure(client.get(`${baseUrl}/page`));
+  await failure(client.get(`${baseUrl}/page`));
+  await failure(client.get(`${baseUrl}/page`));
+  assert.equal(client.breaker.state, 'closed');
+});
+
+test('CircuitBreaker on its own: closed -> open -> half-open -> closed', () => {
+  const breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, cooldownMs: 1000 });
+
+  breaker.recordFailure();
+  breaker.recordFailure();
+  assert.doesNotThrow(() => breaker.check());
+  breaker.recordFailure();
+  assert.throws(() => breaker.check(), { code: 'ECIRCUITOPEN' });
+
+  breaker.openedAt -= 1000;
+  assert.equal(breaker.state, 'half-open');
+  assert.doesNotThrow(() => breaker.check());
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+});
@@ -0,0 +1,88 @@
+// Slot watcher snapshots and diffs (lib/watcher.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSnapshot, diffSnapshots } = require('../lib/watcher');
+
+const GYM = 'America/Chicago';
+const NOW = Date.parse('2030-01-01T00:00:00Z'); // before every watched date
+
+// Mind-Body Studio, 6-9 AM every day, two days ahead, windows of 30+ minutes
+const RULE = {
+  id: 'rule-1',
+  studio: 'Mind-Body Studio',
+  days: [0, 1, 2, 3, 4, 5, 6],
+  startTime: '06:00',
+  endTime: '09:00',
+  horizonDays: 2,
+  minMinutes: 30
+};
+
+// Helper: A Daxko class in the watched studio; start/end as ISO timestamps
+function daxkoClass(name, start, end, { full = false } = {}) {
+  return {
+    name,
+    area_name: 'Mind-Body Studio',
+    start_date_time: `/Date(${Date.parse(start)})/`,
+    end_date_time: `/Date(${Date.parse(end)})/`,
+    is_class_full: full
+  };
+}
+
+// 6-9 AM CST is 12:00-15:00Z
+const YOGA = ['Vinyasa Yoga', '2030-01-07T12:00:00Z', '2030-01-07T13:30:00Z'];
+const PILATES = ['Pilates Mat', '2030-01-07T13:30:00Z', '2030-01-07T15:00:00Z'];
+
+// Helper: Snapshot of RULE for { date: classes }
+function snapshot(classesByDate) {
+  return buildSnapshot(RULE, classesByDate, { timeZone: GYM, now: NOW });
+}
+
+test('a class that disappears opens a slot', () => {
+  const before = snapshot({ '2030-01-07': [daxkoClass(...YOGA), daxkoClass(...PILATES)], '2030-01-08': [] });
+  const after = snapshot({ '2030-01-07': [daxkoClass(...PILATES)], '2030-01-08': [] });
+
+  const events = diffSnapshots(RULE, before, after, GYM);
+  assert.deepEqual(events.map(event => [event.type, event.start, event.end]), [
+    ['slot-opened', '2030-01-07T12:00:00.000Z', '2030-01-07T13:30:00.000Z']
+  ]);
+  assert.equal(events[0].message, 'Mind-Body Studio is free Mon, 1/7, 6:00 AM–7:30 AM');
+});
+
+test('a window that only shrank fires nothing', () => {
+  const before = snapshot({ '2030-01-07': [daxkoClass(...PILATES)], '2030-01-08': [] });
+  const after = snapshot({
+    '2030-01-07': [daxkoClass('Stretch', '2030-01-07T12:00:00Z', '2030-01-07T12:30:00Z'), daxkoClass(...PILATES)],
+    '2030-01-08': []
+  });
+
+  assert.deepEqual(diffSnapshots(RULE, before, after, GYM), []);
+});
+
+test('a full class with a spot again fires class-opening', () => {
+  const before = snapshot({ '2030-01-07': [daxkoClass(...YOGA, { full: true }), daxkoClass(...PILATES)], '2030-01-08': [] });
+  const after = snapshot({ '2030-01-07': [daxkoClass(...YOGA), daxkoClass(...PILATES)], '2030-01-08': [] });
+
+  const events = diffSnapshots(RULE, before, after, GYM);
+  assert.deepEqual(events.map(event => [event.type, event.className, event.start]), [
+    ['class-opening', 'Vinyasa Yoga', '2030-01-07T12:00:00.000Z']
+  ]);
+});
+
+test('a date that enters the horizon is a baseline, not news', () => {
+  // Overnight the two-day horizon moves from 1/7-1/8 to 1/8-1/9; 1/9 is wide open
+  const before = snapshot({ '2030-01-07': [daxkoClass(...YOGA)], '2030-01-08': [] });
+  const after = snapshot({ '2030-01-08': [], '2030-01-09': [] });
+
+  assert.deepEqual([...after.dates], ['2030-01-08', '2030-01-09']);
+  assert.deepEqual(diffSnapshots(RULE, before, after, GYM), []);
+});
+
+test('only the rule\'s weekdays and horizon go into the snapshot', () => {
+  const weekdaysOnly = { ...RULE, days: [1, 2, 3, 4, 5], horizonDays: 2 };
+  // 1/5 is a Saturday
+  const result = buildSnapshot(weekdaysOnly, { '2030-01-05': [], '2030-01-06': [], '2030-01-07': [] }, { timeZone: GYM, now: NOW });
+
+  assert.deepEqual([...result.dates], ['2030-01-05', '2030-01-06']);
+  assert.deepEqual(result.free, []);
+});